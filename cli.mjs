@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+import fse from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {parseArgs} from 'util';
+import BunnyCDNStorage, {AuthenticationError, InvalidArgumentError, NotFoundError} from './index.mjs';
+
+/**
+ * The exit codes of the command-line tool.
+ */
+export const EXIT_CODES = {
+  success: 0,
+  error: 1,
+  usage: 2,
+  notFound: 3,
+  authentication: 4,
+  partialFailure: 5
+};
+
+const usage = `Usage: bunny-storage <command> [options]
+
+Commands:
+  ls [remoteDirectory]                    List the files of a remote directory
+  get <remotePath> [localDirectory]       Download a file
+  put <localFile> [remoteDirectory]       Upload a file
+  rm <remotePath>                         Delete a file or a directory
+  upload-dir <localDirectory> [remoteDirectory]
+                                          Upload a local directory
+  download-dir <remoteDirectory> [localDirectory]
+                                          Download a remote directory
+
+Options:
+  -R, --recursive          Include subdirectories (ls, upload-dir, download-dir)
+  --exclude-types <types>  Comma separated file types to skip, e.g. .map,.tmp
+  --include <pattern>      Only include files matching the gitignore-style pattern, can be repeated
+  --exclude <pattern>      Exclude files matching the gitignore-style pattern, can be repeated
+  --verify                 Verify the checksums of transferred files
+  --concurrency <number>   The max number of concurrent requests, an integer of at least 1 (default 16)
+  --timeout <ms>           The timeout for each request in milliseconds
+  --log-level <level>      debug, info, warn, error or silent (default silent)
+  --json                   Print the results as JSON
+  --access-key <key>       The storage zone access key (env BUNNY_ACCESS_KEY)
+  --zone <name>            The storage zone name (env BUNNY_STORAGE_ZONE)
+  --base-url <url>         The storage API URL (env BUNNY_BASE_URL)
+  --region <code>          The storage region, e.g. ny or sg (env BUNNY_REGION)
+  --replica <region>       A replica region to fail over to for reads, can be repeated
+  --config <file>          A JSON config file (env BUNNY_STORAGE_CONFIG), defaults to
+                           .bunny-storage.json in the current or home directory
+  -h, --help               Show this help
+
+Exit codes:
+  0 success, 1 error, 2 invalid usage, 3 not found, 4 authentication failed, 5 some files failed`;
+
+/**
+ * Run the command-line tool.
+ * @param {string[]} argv The arguments, without the node executable and script path.
+ * @param {object} [io] The environment of the command, replaceable for testing.
+ * @param {object} [io.env=process.env] The environment variables.
+ * @param {{write: function(string)}} [io.stdout=process.stdout] The stream for the results.
+ * @param {{write: function(string)}} [io.stderr=process.stderr] The stream for errors.
+ * @param {string} [io.cwd=process.cwd()] The working directory, used to find the config file.
+ * @returns {Promise<number>} The exit code.
+ */
+export async function run(argv, {env = process.env, stdout = process.stdout, stderr = process.stderr, cwd = process.cwd()} = {}) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'recursive': {type: 'boolean', short: 'R'},
+        'exclude-types': {type: 'string'},
+        'include': {type: 'string', multiple: true},
+        'exclude': {type: 'string', multiple: true},
+        'verify': {type: 'boolean'},
+        'concurrency': {type: 'string'},
+        'timeout': {type: 'string'},
+        'log-level': {type: 'string'},
+        'json': {type: 'boolean'},
+        'access-key': {type: 'string'},
+        'zone': {type: 'string'},
+        'base-url': {type: 'string'},
+        'region': {type: 'string'},
+        'replica': {type: 'string', multiple: true},
+        'config': {type: 'string'},
+        'help': {type: 'boolean', short: 'h'}
+      }
+    });
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${usage}\n`);
+    return EXIT_CODES.usage;
+  }
+
+  const {values: flags, positionals: [command, ...operands]} = args;
+
+  if (flags.help || !command) {
+    (flags.help ? stdout : stderr).write(usage + '\n');
+    return flags.help ? EXIT_CODES.success : EXIT_CODES.usage;
+  }
+
+  const output = (result, text) => stdout.write((flags.json ? JSON.stringify(result, null, 2) : text) + '\n');
+
+  try {
+    const config = await loadConfig(flags.config || env.BUNNY_STORAGE_CONFIG, cwd);
+    const bunny = new BunnyCDNStorage({
+      accessKey: flags['access-key'] || env.BUNNY_ACCESS_KEY || config.accessKey,
+      storageZoneName: flags.zone || env.BUNNY_STORAGE_ZONE || config.storageZoneName,
+      baseURL: flags['base-url'] || env.BUNNY_BASE_URL || config.baseURL,
+      region: flags.region || env.BUNNY_REGION || config.region,
+      replicaRegions: flags.replica || config.replicaRegions,
+      // With less than one slot, no transfer could ever start
+      concurrency: parseNumber(flags, config, 'concurrency', {min: 1, integer: true}),
+      timeout: parseNumber(flags, config, 'timeout'),
+      logLevel: flags['log-level'] || config.logLevel || 'silent'
+    });
+
+    if (!bunny.accessKey || !bunny.storageZoneName) {
+      throw new InvalidArgumentError('The access key and storage zone name are required, set BUNNY_ACCESS_KEY and BUNNY_STORAGE_ZONE or use a config file');
+    }
+
+    const recursive = Boolean(flags.recursive);
+    const filters = {
+      excludedFileTypes: flags['exclude-types']?.split(',').map((type) => type.trim()).filter(Boolean) || [],
+      include: flags.include || [],
+      exclude: flags.exclude || []
+    };
+
+    switch (command) {
+      case 'ls': {
+        const files = await bunny.listFiles({remoteDirectory: operands[0] || '/', recursive, includeFolders: true, ...filters});
+        output(files, files.map((file) => formatFile(bunny, file)).join('\n'));
+        return EXIT_CODES.success;
+      }
+      case 'get': {
+        const {remoteDirectory, fileName} = splitRemotePath(requireOperand(operands[0], 'remotePath'));
+        const localPath = await bunny.downloadFile({remoteDirectory, fileName, localDirectory: operands[1] || '.', verify: flags.verify});
+        output({localPath}, `Downloaded ${localPath}`);
+        return EXIT_CODES.success;
+      }
+      case 'put': {
+        const localFilePath = requireOperand(operands[0], 'localFile');
+        const remoteDirectory = operands[1] || '/';
+        await bunny.uploadFile({localFilePath, remoteDirectory, verify: flags.verify});
+        const remotePath = path.posix.join(remoteDirectory, path.basename(localFilePath)).replace(/^\//, '');
+        output({remotePath}, `Uploaded ${remotePath}`);
+        return EXIT_CODES.success;
+      }
+      case 'rm': {
+        const {remoteDirectory, fileName} = splitRemotePath(requireOperand(operands[0], 'remotePath'));
+        const url = await bunny.delete({remoteDirectory, fileName});
+        output({url}, `Deleted ${operands[0]}`);
+        return EXIT_CODES.success;
+      }
+      case 'upload-dir':
+      case 'download-dir': {
+        const isUpload = command === 'upload-dir';
+        const report = isUpload
+          ? await bunny.uploadFolder({
+            localDirectory: requireOperand(operands[0], 'localDirectory'), remoteDirectory: operands[1] || '/',
+            recursive, verify: flags.verify, continueOnError: true, ...filters
+          })
+          : await bunny.downloadFolder({
+            remoteDirectory: requireOperand(operands[0], 'remoteDirectory'), localDirectory: operands[1] || '.',
+            recursive, verify: flags.verify, continueOnError: true, ...filters
+          });
+        output(serializeReport(report), [
+          `${isUpload ? 'Uploaded' : 'Downloaded'} ${report.succeeded.length} files, ${report.failed.length} failed, ${report.skipped.length} skipped`,
+          ...report.failed.map(({localPath, remotePath, error}) => `Failed: ${isUpload ? localPath : remotePath}: ${error.message}`)
+        ].join('\n'));
+        return report.failed.length ? EXIT_CODES.partialFailure : EXIT_CODES.success;
+      }
+      default:
+        stderr.write(`Unknown command: ${command}\n\n${usage}\n`);
+        return EXIT_CODES.usage;
+    }
+  } catch (error) {
+    stderr.write((flags.json ? JSON.stringify({error: serializeError(error)}, null, 2) : `Error: ${error.message}`) + '\n');
+    if (error instanceof NotFoundError) return EXIT_CODES.notFound;
+    if (error instanceof AuthenticationError) return EXIT_CODES.authentication;
+    if (error instanceof InvalidArgumentError) return EXIT_CODES.usage;
+    return EXIT_CODES.error;
+  }
+}
+
+/**
+ * Load the config file. Without an explicit path, .bunny-storage.json in the working directory or the home directory is used if it exists.
+ * @param {string} [configPath] The path of the config file.
+ * @param {string} cwd The working directory.
+ * @returns {Promise<object>} The config, with the options of BunnyCDNStorage.
+ */
+async function loadConfig(configPath, cwd) {
+  const candidates = configPath
+    ? [path.resolve(cwd, configPath)]
+    : [path.join(cwd, '.bunny-storage.json'), path.join(os.homedir(), '.bunny-storage.json')];
+
+  for (const candidate of candidates) {
+    if (await fse.pathExists(candidate)) return fse.readJson(candidate);
+  }
+  if (configPath) throw new InvalidArgumentError(`Config file not found: ${configPath}`, {localPath: configPath});
+  return {};
+}
+
+/**
+ * Parse a numeric option, given as flag or in the config file. The flag takes precedence.
+ * @param {object} flags The parsed flags.
+ * @param {object} config The config file.
+ * @param {string} name The name of the flag and of the config key.
+ * @param {object} [options] The options object.
+ * @param {number} [options.min=0] The smallest allowed value.
+ * @param {boolean} [options.integer=false] Only allow whole numbers.
+ * @returns {number|undefined}
+ */
+function parseNumber(flags, config, name, {min = 0, integer = false} = {}) {
+  const isFlag = flags[name] !== undefined;
+  const value = isFlag ? flags[name] : config[name];
+  if (value === undefined) return undefined;
+  // Number() would turn an empty string into 0 and true into 1
+  const number = typeof value === 'number' || (typeof value === 'string' && value.trim()) ? Number(value) : NaN;
+  if (!Number.isFinite(number) || number < min || (integer && !Number.isInteger(number))) {
+    const source = isFlag ? `--${name}` : `${name} in the config file`;
+    throw new InvalidArgumentError(`${source} must be ${integer ? 'an integer' : 'a number'} of at least ${min}, got ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Throw an InvalidArgumentError if a required operand is missing.
+ * @param {string} [value] The operand.
+ * @param {string} name The operand name, used in the error message.
+ * @returns {string} The operand.
+ */
+function requireOperand(value, name) {
+  if (!value) throw new InvalidArgumentError(`Missing argument: ${name}`);
+  return value;
+}
+
+/**
+ * Split a remote file path into its directory and file name.
+ * @param {string} remotePath The remote path, e.g. 'images/logo.png'.
+ * @returns {{remoteDirectory: string, fileName: string}}
+ */
+function splitRemotePath(remotePath) {
+  const normalizedPath = remotePath.replace(/^\/+|\/+$/g, '');
+  const remoteDirectory = path.posix.dirname(normalizedPath);
+  return {remoteDirectory: remoteDirectory === '.' ? '/' : remoteDirectory, fileName: path.posix.basename(normalizedPath)};
+}
+
+/**
+ * Format a listed file as a line of the human-readable ls output.
+ * @param {BunnyCDNStorage} bunny The storage instance.
+ * @param {object} file The file object as returned by listFiles.
+ * @returns {string}
+ */
+function formatFile(bunny, file) {
+  const directory = bunny.getRemotePathFromFileWithoutStorageZone(file);
+  const remotePath = (directory === '/' ? '' : directory) + file.ObjectName + (file.IsDirectory ? '/' : '');
+  const size = file.IsDirectory ? '-' : String(file.Length);
+  return `${file.IsDirectory ? 'd' : '-'} ${size.padStart(12)}  ${file.LastChanged.slice(0, 19).replace('T', ' ')}  ${remotePath}`;
+}
+
+/**
+ * Convert a transfer report into plain JSON data.
+ * @param {TransferReport} report The report.
+ * @returns {object}
+ */
+function serializeReport(report) {
+  return {
+    succeeded: report.succeeded.map(({localPath, remotePath, endpoint}) => ({localPath, remotePath, endpoint})),
+    failed: report.failed.map(({localPath, remotePath, error}) => ({localPath, remotePath, error: serializeError(error)})),
+    skipped: report.skipped
+  };
+}
+
+/**
+ * Convert an error into plain JSON data.
+ * @param {Error} error The error.
+ * @returns {object}
+ */
+function serializeError(error) {
+  return {name: error.name, message: error.message, status: error.status, remotePath: error.remotePath, localPath: error.localPath};
+}
+
+// Run only when executed directly (npm links the bin as a symlink), not when imported
+if (process.argv[1] && fse.pathExistsSync(process.argv[1]) && fse.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  process.exitCode = await run(process.argv.slice(2));
+}
@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import {Transform} from 'stream';
+import {DecryptionError, InvalidArgumentError} from './errors.mjs';
+
+/**
+ * The first bytes of every encrypted object.
+ */
+export const ENCRYPTION_MAGIC = Buffer.from('BNYE');
+
+/**
+ * The version of the encrypted object format.
+ */
+export const ENCRYPTION_VERSION = 1;
+
+/**
+ * The length of the random IV in bytes.
+ */
+export const ENCRYPTION_IV_LENGTH = 12;
+
+const KEY_LENGTH = 32;
+const IV_LENGTH = ENCRYPTION_IV_LENGTH;
+const TAG_LENGTH = 16;
+
+/**
+ * Validate the encryption option of BunnyCDNStorage.
+ * @param {object} options The options object.
+ * @param {Object<string, Buffer>} options.keys The AES-256 keys (32 bytes each) by key ID. Old keys can be kept to decrypt files encrypted before a key rotation.
+ * @param {string} options.keyId The ID of the key used to encrypt new uploads.
+ * @returns {{keyId: string, keys: Map<string, Buffer>}} The validated options.
+ */
+export function normalizeEncryptionOptions({keys = {}, keyId} = {}) {
+  const keyMap = new Map();
+  for (const [id, key] of Object.entries(keys)) {
+    if (!(key instanceof Uint8Array) || key.length !== KEY_LENGTH) {
+      throw new InvalidArgumentError(`The encryption key ${id} must be a Buffer of ${KEY_LENGTH} bytes`);
+    }
+    if (!id || Buffer.byteLength(id) > 255) throw new InvalidArgumentError(`The encryption key ID must have 1 to 255 bytes: ${id}`);
+    keyMap.set(id, Buffer.from(key));
+  }
+  if (!keyMap.has(keyId)) throw new InvalidArgumentError(`The encryption keyId ${keyId} is not one of the keys`);
+  return {keyId, keys: keyMap};
+}
+
+/**
+ * Get the size of an encrypted object.
+ * @param {number} size The size of the plaintext in bytes.
+ * @param {string} keyId The ID of the key.
+ * @returns {number} The size including the header and the authentication tag.
+ */
+export function getEncryptedSize(size, keyId) {
+  return ENCRYPTION_MAGIC.length + 2 + Buffer.byteLength(keyId) + IV_LENGTH + size + TAG_LENGTH;
+}
+
+/**
+ * Create a stream encrypting its input with AES-256-GCM and a random IV.
+ * An IV may be passed to encrypt the same data twice with the same result, e.g. to compute the checksum of the encrypted data before sending it.
+ * It must never be used for different data.
+ *
+ * The output has the format: magic 'BNYE' | version (1 byte) | key ID length (1 byte) | key ID | IV (12 bytes) | ciphertext | auth tag (16 bytes).
+ * The header is authenticated as additional data, so changing the key ID or the version is detected like a change of the content.
+ * @param {Buffer} key The 32 byte key.
+ * @param {string} keyId The ID of the key, stored in the header to select the key for decryption.
+ * @param {Buffer} [iv] The 12 byte IV, random by default.
+ * @returns {Transform}
+ */
+export function createEncryptStream(key, keyId, iv = crypto.randomBytes(IV_LENGTH)) {
+  const keyIdBytes = Buffer.from(keyId);
+  const header = Buffer.concat([ENCRYPTION_MAGIC, Buffer.from([ENCRYPTION_VERSION, keyIdBytes.length]), keyIdBytes, iv]);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(header);
+
+  let headerWritten = false;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const encrypted = cipher.update(chunk);
+      callback(null, headerWritten ? encrypted : Buffer.concat([header, encrypted]));
+      headerWritten = true;
+    },
+    flush(callback) {
+      callback(null, Buffer.concat([headerWritten ? Buffer.alloc(0) : header, cipher.final(), cipher.getAuthTag()]));
+    }
+  });
+}
+
+/**
+ * Create a stream decrypting an object created by createEncryptStream. The stream fails with a DecryptionError
+ * if the input is not encrypted, uses an unknown key ID, is truncated, or does not authenticate (tampered data or a wrong key).
+ * The output must not be trusted before the stream has ended without an error.
+ * @param {Map<string, Buffer>} keys The keys by key ID.
+ * @returns {Transform}
+ */
+export function createDecryptStream(keys) {
+  let pending = Buffer.alloc(0);
+  let decipher = null;
+  let keyId;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        pending = Buffer.concat([pending, chunk]);
+        if (!decipher) {
+          const header = parseHeader(pending);
+          if (!header) return callback();
+          keyId = header.keyId;
+          const key = keys.get(keyId);
+          if (!key) throw new DecryptionError(`Unknown encryption key ID: ${keyId}`, {keyId});
+          decipher = crypto.createDecipheriv('aes-256-gcm', key, header.iv);
+          decipher.setAAD(pending.subarray(0, header.length));
+          pending = pending.subarray(header.length);
+        }
+        // The last bytes are the authentication tag, so they are held back until the end
+        if (pending.length <= TAG_LENGTH) return callback();
+        const ciphertext = pending.subarray(0, pending.length - TAG_LENGTH);
+        pending = pending.subarray(pending.length - TAG_LENGTH);
+        callback(null, decipher.update(ciphertext));
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      if (!decipher) {
+        // A header with a wrong magic already failed in transform, so remaining data is an incomplete header
+        return callback(new DecryptionError(pending.length ? 'The encrypted file is truncated' : 'The file is not encrypted'));
+      }
+      if (pending.length !== TAG_LENGTH) return callback(new DecryptionError('The encrypted file is truncated', {keyId}));
+      try {
+        decipher.setAuthTag(pending);
+        callback(null, decipher.final());
+      } catch (error) {
+        callback(new DecryptionError(`The encrypted file failed authentication, it was modified or key ${keyId} is wrong`, {keyId, cause: error}));
+      }
+    }
+  });
+}
+
+/**
+ * Parse the header of an encrypted object.
+ * @param {Buffer} data The beginning of the object.
+ * @returns {{keyId: string, iv: Buffer, length: number}|null} The header, or null if more data is needed.
+ * @throws {DecryptionError} If the data is not an encrypted object of a supported version.
+ */
+function parseHeader(data) {
+  const magic = data.subarray(0, ENCRYPTION_MAGIC.length);
+  if (!ENCRYPTION_MAGIC.subarray(0, magic.length).equals(magic)) throw new DecryptionError('The file is not encrypted');
+  if (data.length < ENCRYPTION_MAGIC.length + 2) return null;
+
+  const version = data[ENCRYPTION_MAGIC.length];
+  if (version !== ENCRYPTION_VERSION) throw new DecryptionError(`Unsupported encryption format version: ${version}`);
+
+  const keyIdLength = data[ENCRYPTION_MAGIC.length + 1];
+  const keyIdStart = ENCRYPTION_MAGIC.length + 2;
+  const length = keyIdStart + keyIdLength + IV_LENGTH;
+  if (data.length < length) return null;
+
+  return {
+    keyId: data.subarray(keyIdStart, keyIdStart + keyIdLength).toString(),
+    iv: data.subarray(keyIdStart + keyIdLength, length),
+    length
+  };
+}
@@ -0,0 +1,176 @@
+/**
+ * The base class of all errors thrown by BunnyCDNStorage.
+ */
+export class BunnyStorageError extends Error {
+  /**
+   * @param {string} message The error message.
+   * @param {object} [details] Additional details.
+   * @param {string} [details.operation] The public method which failed, e.g. 'downloadFile'.
+   * @param {string} [details.remotePath] The remote path (without the storage zone) the operation was working on.
+   * @param {string} [details.localPath] The local path the operation was working on.
+   * @param {string} [details.url] The remote storage URL.
+   * @param {number} [details.status] The HTTP status code, if the storage API responded.
+   * @param {Error} [details.cause] The original error.
+   */
+  constructor(message, {operation, remotePath, localPath, url, status, cause} = {}) {
+    super(message, cause ? {cause} : undefined);
+    this.name = this.constructor.name;
+    this.operation = operation;
+    this.remotePath = remotePath;
+    this.localPath = localPath;
+    this.url = url;
+    this.status = status;
+  }
+
+  /**
+   * Convert any error into a BunnyStorageError. HTTP errors are mapped to the matching subclass by their status code,
+   * file system errors to a LocalFileError. Errors which already are a BunnyStorageError get the missing details added.
+   * @param {Error} error The original error.
+   * @param {object} details The details of the failed operation, see the constructor.
+   * @returns {BunnyStorageError}
+   */
+  static from(error, details = {}) {
+    if (error instanceof BunnyStorageError) {
+      for (const [key, value] of Object.entries(details)) {
+        if (error[key] === undefined) error[key] = value;
+      }
+      return error;
+    }
+
+    // axios rejects with a CanceledError, timers and streams with a DOMException or Node.js AbortError
+    if (error?.code === 'ERR_CANCELED' || error?.name === 'AbortError') {
+      return new AbortError(`${details.operation} was aborted: ${details.url || details.remotePath || details.localPath}`, {...details, cause: error});
+    }
+
+    // axios uses ECONNABORTED for its timeout option
+    if (error?.isAxiosError && !error.response && (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT')) {
+      return new TimeoutError(`${details.operation} timed out: ${error.message}: ${details.url}`, {...details, cause: error});
+    }
+
+    const status = error?.response?.status;
+    if (status) {
+      const message = `${details.operation} failed with status ${status}${error.response.statusText ? ' ' + error.response.statusText : ''}: ${details.url}`;
+      const ErrorClass = status === 404 ? NotFoundError
+        : status === 401 || status === 403 ? AuthenticationError
+          : status === 429 ? RateLimitError
+            : RequestError;
+      return new ErrorClass(message, {...details, status, cause: error});
+    }
+
+    if (error?.isAxiosError) {
+      return new RequestError(`${details.operation} failed: ${error.message}: ${details.url}`, {...details, cause: error});
+    }
+
+    if (error?.syscall) {
+      return new LocalFileError(`${details.operation} failed: ${error.message}`, {...details, localPath: error.path || details.localPath, cause: error});
+    }
+
+    return new BunnyStorageError(`${details.operation} failed: ${error?.message || error}`, {...details, cause: error});
+  }
+}
+
+/**
+ * Thrown when the remote file or directory does not exist (HTTP 404).
+ */
+export class NotFoundError extends BunnyStorageError {
+}
+
+/**
+ * Thrown when the access key is invalid or does not belong to the storage zone (HTTP 401 or 403).
+ */
+export class AuthenticationError extends BunnyStorageError {
+}
+
+/**
+ * Thrown when the storage API rejected the request due to too many requests (HTTP 429).
+ */
+export class RateLimitError extends BunnyStorageError {
+  /**
+   * @param {string} message The error message.
+   * @param {object} [details] Additional details, see BunnyStorageError.
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    const retryAfter = Number(details.cause?.response?.headers?.['retry-after']);
+    /**
+     * The number of seconds to wait before retrying, if the storage API sent a Retry-After header.
+     * @type {number|undefined}
+     */
+    this.retryAfter = Number.isNaN(retryAfter) ? undefined : retryAfter;
+  }
+}
+
+/**
+ * Thrown for all other failed requests, e.g. server errors or network errors without a response.
+ */
+export class RequestError extends BunnyStorageError {
+}
+
+/**
+ * Thrown when a request did not finish within the timeout.
+ */
+export class TimeoutError extends RequestError {
+}
+
+/**
+ * Thrown when an operation was cancelled through its AbortSignal.
+ */
+export class AbortError extends BunnyStorageError {
+}
+
+/**
+ * Thrown when the SHA-256 checksum of a transferred file does not match the expected checksum.
+ */
+export class IntegrityError extends BunnyStorageError {
+  /**
+   * @param {string} message The error message.
+   * @param {object} [details] Additional details, see BunnyStorageError.
+   * @param {string} [details.expectedChecksum] The checksum the file should have.
+   * @param {string} [details.actualChecksum] The checksum the file actually has.
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.expectedChecksum = details.expectedChecksum;
+    this.actualChecksum = details.actualChecksum;
+  }
+}
+
+/**
+ * Thrown when a file downloaded with decrypt can not be decrypted: it is not encrypted, truncated, uses an unknown key ID,
+ * or fails the authentication because it was modified or the key is wrong.
+ */
+export class DecryptionError extends BunnyStorageError {
+  /**
+   * @param {string} message The error message.
+   * @param {object} [details] Additional details, see BunnyStorageError.
+   * @param {string} [details.keyId] The key ID from the header of the file, if it could be read.
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.keyId = details.keyId;
+  }
+}
+
+/**
+ * Thrown when a local file or directory is missing or cannot be read or written.
+ */
+export class LocalFileError extends BunnyStorageError {
+}
+
+/**
+ * Thrown when a download destination would be outside the local target directory, e.g. because a remote name contains '..'.
+ */
+export class UnsafePathError extends BunnyStorageError {
+}
+
+/**
+ * Thrown when a delete would remove a protected path or the storage zone root.
+ */
+export class ProtectedPathError extends BunnyStorageError {
+}
+
+/**
+ * Thrown when a method is called with invalid options.
+ */
+export class InvalidArgumentError extends BunnyStorageError {
+}
@@ -1,72 +1,310 @@
 import axios from 'axios';
 import axiosRetry from 'axios-retry';
+import {setTimeout as sleep} from 'timers/promises';
+import crypto from 'crypto';
+import {EventEmitter} from 'events';
 import fse from "fs-extra";
 import path from 'path';
-import {createLogger, format, transports} from 'winston';
+import {Readable, Transform} from 'stream';
+import {pipeline} from 'stream/promises';
 import {Sema} from "async-sema";
+import {
+  AbortError,
+  AuthenticationError,
+  BunnyStorageError,
+  DecryptionError,
+  IntegrityError,
+  InvalidArgumentError,
+  LocalFileError,
+  NotFoundError,
+  ProtectedPathError,
+  RateLimitError,
+  RequestError,
+  TimeoutError,
+  UnsafePathError
+} from './errors.mjs';
+import {createDecryptStream, createEncryptStream, ENCRYPTION_IV_LENGTH, getEncryptedSize, normalizeEncryptionOptions} from './encryption.mjs';
+import {createLogger} from './logger.mjs';
+import {PathFilter} from './patterns.mjs';
+import {ProgressTracker} from './progress.mjs';
+import {FolderWatcher} from './watcher.mjs';
 
-const logFormat = format.printf(({level, message, label, timestamp}) => {
-  return `${format.colorize().colorize(level, '[' + level + ']')} ${format.colorize().colorize('debug', timestamp)}: ${message}`;
-});
+/**
+ * Check if a request body is a stream.
+ * @param {*} data - The request body.
+ * @returns {boolean}
+ */
+function isStream(data) {
+  return typeof data?.pipe === 'function';
+}
+
+/**
+ * The storage API endpoints of the BunnyCDN storage regions, keyed by region code. 'de' (Falkenstein) is the default region.
+ */
+const STORAGE_REGIONS = {
+  de: 'https://storage.bunnycdn.com/',
+  uk: 'https://uk.storage.bunnycdn.com/',
+  se: 'https://se.storage.bunnycdn.com/',
+  ny: 'https://ny.storage.bunnycdn.com/',
+  la: 'https://la.storage.bunnycdn.com/',
+  sg: 'https://sg.storage.bunnycdn.com/',
+  syd: 'https://syd.storage.bunnycdn.com/',
+  br: 'https://br.storage.bunnycdn.com/',
+  jh: 'https://jh.storage.bunnycdn.com/'
+};
+
+/**
+ * Get the storage API endpoint of a region.
+ * @param {string} region A region code of STORAGE_REGIONS, or the URL of a custom endpoint.
+ * @returns {string} The endpoint URL, ending with '/'.
+ */
+function getRegionEndpoint(region) {
+  if (/^https?:\/\//i.test(region)) return region.endsWith('/') ? region : region + '/';
+  const endpoint = STORAGE_REGIONS[String(region).toLowerCase()];
+  if (!endpoint) {
+    throw new InvalidArgumentError(`Unknown storage region: ${region}, use one of ${Object.keys(STORAGE_REGIONS).join(', ')} or an endpoint URL`);
+  }
+  return endpoint;
+}
 
-class BunnyCDNStorage {
+/**
+ * Emits a 'progress' event with a ProgressEvent for each progress of the upload, download, copy and move methods,
+ * and a 'purgeError' event with the error if purging the pull zone cache after a write operation failed.
+ */
+class BunnyCDNStorage extends EventEmitter {
   /**
    * @param {object} options  The options object.
    * @param {string} options.accessKey Your storage zone API access key. This is also your ftp password shown in the bunny dashboard.
    * @param {string} options.storageZoneName The name of your storage zone.
-   * @param {number} [options.concurrency=16] The max number of concurrent connections used for listing files (when recursive is true) as well for uploading and downloading folders. Defaults to 16.
-   * @param {number} [options.retryCount=2] The number of times to retry a failed request.
-   * @param {string} [options.logLevel='error'] The log level for this module. Can be 'info', 'error' or 'silent'. Defaults to 'error'.
+   * @param {number} [options.concurrency=16] The max number of concurrent connections used for listing files (when recursive is true) as well for uploading and downloading folders. Listings and transfers are limited separately, so up to twice as many connections can be open. Defaults to 16.
+   * @param {number} [options.retryCount=2] The number of times to retry a failed request. Shorthand for retry.retries.
+   * @param {object} [options.retry] The retry policy. Failed requests are retried with exponential backoff.
+   * @param {number} [options.retry.retries=retryCount] The number of times to retry a failed request.
+   * @param {number} [options.retry.baseDelay=1000] The delay in milliseconds before the first retry.
+   * @param {number} [options.retry.maxDelay=30000] The maximum delay in milliseconds between two retries.
+   * @param {number} [options.retry.factor=2] The factor the delay grows by with each retry.
+   * @param {boolean} [options.retry.jitter=true] Randomize each delay between half and the full delay, to avoid many clients retrying at the same time.
+   * @param {number[]} [options.retry.retryOnStatus=[408, 429, 500, 502, 503, 504]] The HTTP status codes which are retried.
+   * @param {string[]} [options.retry.retryOnErrorCodes=['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN']] The network error codes which are retried.
+   * @param {boolean} [options.retry.respectRetryAfter=true] Wait as long as the Retry-After header of a 429 or 503 response demands, instead of the computed delay.
+   * @param {boolean} [options.retry.retryNonIdempotent=false] Also retry non-idempotent requests (e.g. POST).
+   * @param {string} [options.logLevel='error'] The log level of the built-in console logger. Can be 'debug', 'info', 'warn', 'error' or 'silent'. Defaults to 'error'.
+   * @param {object|false} [options.logger] A logger to use instead of the built-in console logger, e.g. a pino or winston logger or the console. It needs error, warn, info and debug methods, missing ones are ignored. false disables logging.
+   * @param {RequestHooks} [options.hooks] Functions called during the lifecycle of each HTTP request, e.g. to collect metrics or traces.
+   * @param {string} [options.region='de'] The region of the storage zone's primary storage, e.g. 'ny' or 'sg', see STORAGE_REGIONS.
+   * @param {string} [options.baseURL] The base URL of the storage API, e.g. a custom endpoint or the URL of a MockStorageServer for testing. Takes precedence over region.
+   * @param {string[]} [options.replicaRegions=[]] The replication regions (or endpoint URLs) to fail over to, in order, when a read (listFiles, walkFiles, downloadFile, downloadFolder, readFile, getFileStream) fails on the primary endpoint with a 5xx status, a timeout or a network error. Writes always go to the primary endpoint.
+   * @param {number} [options.timeout=0] The default timeout in milliseconds for each request, e.g. a stalled connection fails after this time without data. 0 means no timeout.
+   * @param {object} [options.pullZone] The pull zone serving the storage zone, used to purge its cache and to sign URLs.
+   * @param {string} options.pullZone.hostname The hostname of the pull zone, e.g. 'cdn.example.com' or 'example.b-cdn.net'.
+   * @param {string} [options.pullZone.apiKey] Your bunny.net account API key, required to purge the cache.
+   * @param {string} [options.pullZone.tokenAuthKey] The token authentication key of the pull zone, required for getSignedUrl.
+   * @param {boolean} [options.pullZone.autoPurge=false] Purge the affected URLs after each upload, copy, move and delete.
+   * @param {string} [options.pullZone.apiURL='https://api.bunny.net/'] The base URL of the bunny.net API.
+   * @param {object} [options.encryption] The keys for the client-side encryption of uploadFile and uploadFolder with encrypt, and the decryption of downloadFile and downloadFolder with decrypt.
+   * @param {Object<string, Buffer>} options.encryption.keys The AES-256 keys (32 bytes each) by key ID. Keep old keys after a key rotation to decrypt the files encrypted with them.
+   * @param {string} options.encryption.keyId The ID of the key new uploads are encrypted with.
+   * @param {string[]} [options.protectedPaths=[]] Remote paths (without the storage zone) which can never be deleted, e.g. ['config', 'legal/imprint.html']. A protected directory protects everything inside, and its parent directories can't be deleted either. The storage zone root is always protected.
    */
-  constructor({accessKey, storageZoneName, concurrency = 16, retryCount = 2, logLevel = 'error'}) {
+  constructor({
+                accessKey,
+                storageZoneName,
+                concurrency = 16,
+                retryCount = 2,
+                retry = {},
+                logLevel = 'error',
+                logger,
+                hooks = {},
+                region = 'de',
+                baseURL,
+                replicaRegions = [],
+                timeout = 0,
+                pullZone,
+                encryption,
+                protectedPaths = []
+              }) {
+    super();
     this.accessKey = accessKey;
     this.storageZoneName = storageZoneName;
-    this.baseURL = 'https://storage.bunnycdn.com/';
+    this.baseURL = getRegionEndpoint(baseURL || region);
+    this.replicaURLs = replicaRegions.map(getRegionEndpoint);
+    this.concurrency = concurrency;
+    this.timeout = timeout;
     this.sema = new Sema(concurrency);
+    // Listings and purges have their own limit of the same size: transfers hold a slot of this.sema while they run, and some of them list or purge,
+    // so sharing the slots could leave every slot held by a transfer waiting for a listing or a purge
+    this.requestSema = new Sema(concurrency);
+    this.retryPolicy = {
+      retries: retryCount,
+      baseDelay: 1000,
+      maxDelay: 30000,
+      factor: 2,
+      jitter: true,
+      retryOnStatus: [408, 429, 500, 502, 503, 504],
+      retryOnErrorCodes: ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'],
+      respectRetryAfter: true,
+      retryNonIdempotent: false,
+      ...retry
+    };
+    this.retryCount = this.retryPolicy.retries;
+    this.pullZone = pullZone ? {autoPurge: false, apiURL: 'https://api.bunny.net/', ...pullZone} : null;
+    if (this.pullZone?.autoPurge && (!this.pullZone.hostname || !this.pullZone.apiKey)) {
+      throw new InvalidArgumentError('The autoPurge option of the pull zone requires a hostname and an apiKey');
+    }
+
+    this.encryption = encryption ? normalizeEncryptionOptions(encryption) : null;
+    this.protectedPaths = protectedPaths.map((protectedPath) => this._getFilePath(protectedPath).replace(/\/$/, '')).filter(Boolean);
+
+    this.logger = createLogger({logger, logLevel});
+    this.hooks = hooks;
 
-    this.logger = createLogger({
-      level: logLevel,
-      format: format.combine(
-        format.timestamp(),
-        logFormat
-      ),
-      transports: [
-        new transports.Console({
-          silent: logLevel === 'silent'
-        })
-      ]
+    // Every instance has its own HTTP client, so the retry policy does not affect other instances or other axios users
+    this.http = axios.create();
+
+    // Registered before axios-retry, so every attempt of a retried request is reported
+    this.http.interceptors.request.use((config) => {
+      config.metadata = {startTime: Date.now()};
+      this._callHook('onRequest', {
+        method: config.method.toUpperCase(),
+        url: config.url,
+        attempt: (config['axios-retry']?.retryCount || 0) + 1,
+        bytes: this._getBodySize(config.data, config.headers?.['Content-Length'])
+      });
+      return config;
+    });
+    this.http.interceptors.response.use((response) => {
+      this._callHook('onResponse', {
+        ...this._getRequestDetails(response.config),
+        status: response.status,
+        bytes: this._getBodySize(response.data, response.headers['content-length'])
+      });
+      return response;
+    }, (error) => {
+      if (error.config) {
+        this._callHook('onError', {...this._getRequestDetails(error.config), status: error.response?.status, error});
+      }
+      throw error;
     });
 
-    // Setup axios-retry
-    axiosRetry(axios, {
-      retries: retryCount, retryDelay: (numberOfRetries) => {
-        return numberOfRetries * 2000;
+    // Streamed request bodies are consumed by the first attempt and can't be sent again, those requests are retried by the calling method
+    axiosRetry(this.http, {
+      retries: this.retryPolicy.retries,
+      shouldResetTimeout: true,
+      retryCondition: (error) => !isStream(error.config?.data) && this._isRetryableError(error),
+      retryDelay: (numberOfRetries, error) => this._getRetryDelay(numberOfRetries, error),
+      onRetry: (numberOfRetries, error, requestConfig) => {
+        this.logger.info(`Retrying ${requestConfig.method?.toUpperCase()} ${requestConfig.url} (${numberOfRetries} of ${this.retryPolicy.retries}): ${error}`);
+        this._callHook('onRetry', {method: requestConfig.method?.toUpperCase(), url: requestConfig.url, attempt: numberOfRetries + 1, error});
       }
     });
   }
 
   /**
-   * Get the file path for a file.
+   * @typedef {object} RequestHooks
+   * @property {function({method: string, url: string, attempt: number, bytes: number|undefined})} [onRequest] Called before each attempt of a request, with the size of the request body.
+   * @property {function({method: string, url: string, attempt: number, status: number, bytes: number|undefined, duration: number})} [onResponse] Called when a successful response arrived, with the size of the response body and the duration in milliseconds. For streamed downloads, the duration is the time until the response headers arrived.
+   * @property {function({method: string, url: string, attempt: number, error: Error})} [onRetry] Called before a failed request is sent again, attempt is the number of the next attempt.
+   * @property {function({method: string, url: string, attempt: number, status: number|undefined, duration: number, error: Error})} [onError] Called when an attempt failed, also if it is retried afterwards. The status is undefined for network errors and timeouts.
+   */
+
+  /**
+   * Call a request hook. Errors thrown by the hook are logged, they never fail the request.
+   * @param {string} name - The name of the hook, e.g. 'onRequest'.
+   * @param {object} event - The event passed to the hook.
+   * @private
+   */
+  _callHook(name, event) {
+    if (typeof this.hooks[name] !== 'function') return;
+    try {
+      this.hooks[name](event);
+    } catch (error) {
+      this.logger.error(`The ${name} hook failed: ${error}`);
+    }
+  }
+
+  /**
+   * Get the method, URL, attempt and duration of a finished request for the hook events.
+   * @param {object} config - The axios request config.
+   * @returns {{method: string, url: string, attempt: number, duration: number}}
+   * @private
+   */
+  _getRequestDetails(config) {
+    return {
+      method: config.method?.toUpperCase(),
+      url: config.url,
+      attempt: (config['axios-retry']?.retryCount || 0) + 1,
+      duration: config.metadata ? Date.now() - config.metadata.startTime : undefined
+    };
+  }
+
+  /**
+   * Get the size of a request or response body.
+   * @param {*} data - The body, streams are not consumed.
+   * @param {string|number} [contentLength] - The Content-Length header, used for streams.
+   * @returns {number|undefined} The number of bytes, or undefined if unknown.
+   * @private
+   */
+  _getBodySize(data, contentLength) {
+    if (data === undefined || data === null || data === '') return 0;
+    if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) return data.byteLength;
+    if (typeof data === 'string') return Buffer.byteLength(data);
+    const size = Number(contentLength);
+    return contentLength === undefined || Number.isNaN(size) ? undefined : size;
+  }
+
+  /**
+   * Check if a failed request should be retried according to the retry policy.
+   * @param {Error} error - The axios error.
+   * @returns {boolean}
+   * @private
+   */
+  _isRetryableError(error) {
+    const method = error.config?.method?.toLowerCase();
+    if (!this.retryPolicy.retryNonIdempotent && !['get', 'head', 'options', 'put', 'delete'].includes(method)) return false;
+    if (error.response) return this.retryPolicy.retryOnStatus.includes(error.response.status);
+    return this.retryPolicy.retryOnErrorCodes.includes(error.code);
+  }
+
+  /**
+   * Get the delay before a retry: exponential backoff with optional jitter, or the Retry-After header of 429 and 503 responses.
+   * @param {number} numberOfRetries - The number of the upcoming retry, starting at 1.
+   * @param {Error} [error] - The axios error of the failed attempt.
+   * @returns {number} The delay in milliseconds.
+   * @private
+   */
+  _getRetryDelay(numberOfRetries, error) {
+    const {baseDelay, maxDelay, factor, jitter, respectRetryAfter} = this.retryPolicy;
+
+    const status = error?.response?.status;
+    const retryAfter = error?.response?.headers?.['retry-after'];
+    if (respectRetryAfter && retryAfter !== undefined && (status === 429 || status === 503)) {
+      // Retry-After is either a number of seconds or an HTTP date
+      const retryAfterDelay = /^\d+$/.test(retryAfter) ? Number(retryAfter) * 1000 : new Date(retryAfter).getTime() - Date.now();
+      if (!Number.isNaN(retryAfterDelay)) return Math.max(0, retryAfterDelay);
+    }
+
+    const delay = Math.min(maxDelay, baseDelay * Math.pow(factor, numberOfRetries - 1));
+    return jitter ? delay / 2 + Math.random() * delay / 2 : delay;
+  }
+
+  /**
+   * Get the file path for a file. Remote paths always use '/' as separator, empty segments are removed.
    * @param {string} directory - The remote directory path.
    * @param {string} fileName - The name of the file.
-   * @returns {string} The remote file path.
+   * @returns {string} The remote file path, without a leading slash. A directory without a file name ends with a slash.
+   * @throws {UnsafePathError} If a segment is '.' or '..', the path would not point to the file it names (e.g. 'a/..' is the root).
    * @private
    */
   _getFilePath(directory, fileName) {
     try {
-      let filePath = '';
-
-      if (directory && directory !== '/') {
-        if (directory.startsWith('/')) directory = directory.slice(1);
-        if (directory.endsWith('/')) directory = directory.slice(0, -1);
-        filePath += `${directory}/`;
+      const directorySegments = (directory || '').split('/').filter(Boolean);
+      const fileSegments = (fileName || '').split('/').filter(Boolean);
+      if ([...directorySegments, ...fileSegments].some((segment) => segment === '.' || segment === '..')) {
+        throw new UnsafePathError(`Unsafe remote path: ${directory}/${fileName || ''} contains '.' or '..' segments`, {remotePath: `${directory}/${fileName || ''}`});
       }
 
-      if (fileName) {
-        if (fileName.startsWith('/')) fileName = fileName.slice(1);
-        if (fileName.endsWith('/')) fileName = fileName.slice(0, -1);
-        filePath += fileName;
-      }
+      let filePath = directorySegments.length ? `${directorySegments.join('/')}/` : '';
+      filePath += fileSegments.join('/');
 
       return filePath;
     } catch (error) {
@@ -76,16 +314,17 @@ class BunnyCDNStorage {
   }
 
   /**
-   * Generate the full storage URL for a file for the BunnyCDN API.
+   * Generate the full storage URL for a file for the BunnyCDN API. Each path segment is URL-encoded, so names may contain spaces, '#', '?' or non-ASCII characters.
    * @param {string} directory - The remote directory path.
    * @param {string} [fileName] - The name of the file.
+   * @param {string} [endpoint=this.baseURL] - The storage API endpoint, e.g. one of the replicas.
    * @return {string} The remote storage URL.
    * @private
    */
-  _getFullStorageUrl(directory, fileName) {
+  _getFullStorageUrl(directory, fileName, endpoint = this.baseURL) {
     try {
       const filePath = this._getFilePath(directory, fileName);
-      return `${this.baseURL}${this.storageZoneName}/` + filePath;
+      return `${endpoint}${encodeURIComponent(this.storageZoneName)}/` + filePath.split('/').map(encodeURIComponent).join('/');
     } catch (error) {
       this.logger.error(`Failed to generate full storage URL for ${directory} and ${fileName}: ${error}`);
       throw error;
@@ -113,336 +352,2311 @@ class BunnyCDNStorage {
    * List all files in a directory.
    * @param {object} options The options object.
    * @param {string} [options.remoteDirectory='/'] The directory path. Leave blank or use '/' to list files in the root directory.
-   * @param {boolean} [options.recursive=false] Should the list go through each subdirectory recursively.
+   * @param {boolean} [options.recursive=false] Should the list go through each subdirectory recursively. Subdirectories are listed in parallel, limited by the concurrency.
    * @param {boolean} [options.includeFolders=false] Should folders be included in the list.
    * @param {string[]} [options.excludedFileTypes=[]] Define file types that should not be included, e.g. ['.pdf', '.jpg']
-   * @param {function} options.fileFilter Can be used to exclude individual files. The function receives the remote filepath (without the storage zone) as a parameter. If the callback returns false, the file will not be included.
-   * @param {boolean} [_isRecursiveCall=false] Used internally to keep track of recursive calls. Only needed internally.
+   * @param {function} options.fileFilter Can be used to exclude individual files. The function receives the remote filepath (without the storage zone) and the path relative to remoteDirectory as parameters. If the callback returns false, the file will not be included.
+   * @param {string[]} [options.include=[]] Gitignore-style patterns, only files matching them are included. The patterns are matched against the path relative to remoteDirectory.
+   * @param {string[]} [options.exclude=[]] Gitignore-style patterns of files and directories to exclude, e.g. ['*.tmp', 'cache/']. Excluded directories are not listed.
+   * @param {AbortSignal} [options.signal] Cancels the listing when aborted, rejecting with an AbortError.
+   * @param {number} [options.timeout] The timeout in milliseconds for each request. Defaults to the timeout of the instance.
    */
   async listFiles({
                     remoteDirectory = '/',
                     recursive = false,
                     includeFolders = false,
                     excludedFileTypes = [],
-                    fileFilter
-                  }, _isRecursiveCall = false) {
+                    fileFilter,
+                    include = [],
+                    exclude = [],
+                    signal,
+                    timeout
+                  }) {
+    let url;
     try {
-      const url = this._getFullStorageUrl(remoteDirectory);
+      url = this._getFullStorageUrl(remoteDirectory);
+      const files = [];
 
-      this.logger.info(`Listing files in ${url}`);
+      for await (const file of this.walkFiles({
+        remoteDirectory,
+        includeFolders,
+        excludedFileTypes,
+        fileFilter,
+        include,
+        exclude,
+        maxDepth: recursive ? Infinity : 0,
+        signal,
+        timeout
+      }, 'listFiles')) {
+        files.push(file);
+      }
 
-      const response = await axios.get(url, {
-        headers: {
-          'AccessKey': this.accessKey,
-          'Content-Type': 'application/json'
+      this.logger.info(`Number of found files totally ${files.length}`);
+      return files;
+    } catch (error) {
+      this.logger.error(`Failed to list files in ${remoteDirectory}: ${error}. URL: ${url}`);
+      throw BunnyStorageError.from(error, {operation: 'listFiles', remotePath: remoteDirectory, url});
+    }
+  }
+
+  /**
+   * Walk through a directory and all its subdirectories, yielding the files as soon as their directory is listed.
+   * The directories are listed in parallel, limited by the concurrency. The order of the files is not guaranteed.
+   * Stop iterating (e.g. with break) to stop listing further directories.
+   * @param {object} [options] The options object.
+   * @param {string} [options.remoteDirectory='/'] The directory path. Leave blank or use '/' to start in the root directory.
+   * @param {number} [options.maxDepth=Infinity] How many levels of subdirectories should be listed. 0 only lists the remoteDirectory itself.
+   * @param {boolean} [options.includeFolders=false] Should folders be yielded as well.
+   * @param {string[]} [options.excludedFileTypes=[]] Define file types that should not be included, e.g. ['.pdf', '.jpg']
+   * @param {function} options.fileFilter Can be used to exclude individual files. The function receives the remote filepath (without the storage zone) and the path relative to remoteDirectory as parameters. If the callback returns false, the file will not be yielded.
+   * @param {string[]} [options.include=[]] Gitignore-style patterns, only files matching them are yielded. The patterns are matched against the path relative to remoteDirectory.
+   * @param {string[]} [options.exclude=[]] Gitignore-style patterns of files and directories to exclude, e.g. ['*.tmp', 'cache/']. Excluded directories are not listed.
+   * @param {AbortSignal} [options.signal] Cancels the listing when aborted, the iteration throws an AbortError.
+   * @param {number} [options.timeout] The timeout in milliseconds for each request. Defaults to the timeout of the instance.
+   * @param {string} [_operation='walkFiles'] Used internally to name the public method in errors.
+   * @returns {AsyncGenerator<object>} The file objects, as returned by the BunnyCDN API.
+   */
+  async* walkFiles({
+                     remoteDirectory = '/',
+                     maxDepth = Infinity,
+                     includeFolders = false,
+                     excludedFileTypes = [],
+                     fileFilter,
+                     include = [],
+                     exclude = [],
+                     signal,
+                     timeout
+                   } = {}, _operation = 'walkFiles') {
+    const pathFilter = include.length || exclude.length ? new PathFilter({include, exclude}) : null;
+    const pendingDirectories = [{remoteDirectory, depth: 0}];
+    const listedDirectories = [];
+    let runningListings = 0;
+    let failure;
+    let closed = false;
+    let wakeUp;
+
+    // Start listing pending directories, the number of listed but not yet consumed directories is limited as well to keep the memory usage low
+    const startListings = () => {
+      while (!closed && !failure && pendingDirectories.length && runningListings + listedDirectories.length < this.concurrency) {
+        const {remoteDirectory: directory, depth} = pendingDirectories.shift();
+        runningListings++;
+        this._acquireSlot(signal, this.requestSema)
+          .then(() => this._listDirectory(directory, {signal, timeout}).finally(() => this.requestSema.release()))
+          .then((files) => listedDirectories.push({files, depth}), (error) => {
+            // A listed directory with a '..' name has no URL, building it here would throw again
+            const url = error instanceof UnsafePathError ? undefined : this._getFullStorageUrl(directory);
+            failure = failure || BunnyStorageError.from(error, {operation: _operation, remotePath: directory, url});
+          })
+          .finally(() => {
+            runningListings--;
+            if (wakeUp) wakeUp();
+          });
+      }
+    };
+
+    try {
+      try {
+        this._getFilePath(remoteDirectory);
+      } catch (error) {
+        throw BunnyStorageError.from(error, {operation: _operation, remotePath: remoteDirectory});
+      }
+      startListings();
+
+      while (runningListings || listedDirectories.length) {
+        if (!listedDirectories.length) {
+          await new Promise((resolve) => wakeUp = resolve);
+          wakeUp = null;
         }
-      });
+        if (failure) throw failure;
 
-      const files = [];
+        const {files, depth} = listedDirectories.shift();
+
+        // Excluded directories are neither listed nor yielded
+        const includedFiles = files.filter((file) => {
+          if (!file.IsDirectory || !pathFilter?.isDirectoryExcluded(this._getRelativeRemoteFilePath(file, remoteDirectory))) return true;
+          this.logger.info(`Excluding directory due to exclude: ${file.ObjectName}`);
+          return false;
+        });
 
-      const pushFileIfAllowed = (file) => {
-        const ext = path.extname(file.ObjectName);
-        if (excludedFileTypes?.length && excludedFileTypes.includes(ext)) {
-          this.logger.info(`Excluding file due to file type: ${file.ObjectName}`);
-          return;
-        }
-        if (fileFilter) {
-          const shouldInclude = fileFilter(this.getRemotePathFromFileWithoutStorageZone(file) + file.ObjectName);
-          if (!shouldInclude) {
-            this.logger.info(`Excluding file due to fileFilter: ${file.ObjectName}`);
-            return;
+        for (const file of includedFiles) {
+          if (file.IsDirectory && depth < maxDepth) {
+            pendingDirectories.push({remoteDirectory: this.getRemotePathFromFileWithoutStorageZone(file) + file.ObjectName, depth: depth + 1});
           }
         }
-        files.push(file);
-      }
+        startListings();
 
-      for (const file of response.data) {
-        if (file.IsDirectory) {
-          if (recursive) {
-            const subFiles = await this.listFiles({
-              remoteDirectory: this.getRemotePathFromFileWithoutStorageZone(file) + file.ObjectName,
-              recursive,
-              includeFolders,
-              excludedFileTypes,
-              fileFilter
-            }, true);
-            files.push(...subFiles);
+        for (const file of includedFiles) {
+          if (file.IsDirectory) {
+            if (includeFolders) yield file;
+            continue;
           }
-          if (includeFolders) files.push(file);
-        } else {
-          pushFileIfAllowed(file)
+          const exclusionReason = this._getExclusionReason(file, {
+            excludedFileTypes, fileFilter, pathFilter, relativePath: this._getRelativeRemoteFilePath(file, remoteDirectory)
+          });
+          if (exclusionReason) {
+            this.logger.info(`Excluding file due to ${exclusionReason}: ${file.ObjectName}`);
+            continue;
+          }
+          yield file;
         }
+
+        startListings();
       }
 
-      if (!_isRecursiveCall) this.logger.info(`Number of found files totally ${files.length}`);
-      return files;
-    } catch (error) {
-      this.logger.error(`Failed to list files in ${remoteDirectory}: ${error}. URL: ${this._getFullStorageUrl(remoteDirectory)}`);
-      throw error;
+      if (failure) throw failure;
+    } finally {
+      closed = true;
+    }
+  }
+
+  /**
+   * List the content of a single directory.
+   * @param {string} remoteDirectory - The remote directory path.
+   * @param {object} [requestOptions] The signal and timeout of the request.
+   * @returns {Promise<object[]>} The file and folder objects, as returned by the BunnyCDN API, with the endpoint which served the listing added.
+   * @private
+   */
+  async _listDirectory(remoteDirectory, requestOptions = {}) {
+    const response = await this._requestWithFailover((endpoint) => {
+      const url = this._getFullStorageUrl(remoteDirectory, undefined, endpoint);
+      this.logger.info(`Listing files in ${url}`);
+      return this.http.get(url, {
+        ...this._getRequestOptions(requestOptions),
+        headers: {
+          'AccessKey': this.accessKey,
+          'Content-Type': 'application/json'
+        }
+      });
+    }, requestOptions.signal);
+
+    for (const file of response.data) file.endpoint = response.endpoint;
+    return response.data;
+  }
+
+  /**
+   * Send a read request to the primary endpoint, and to the replica endpoints in order as long as it fails with a failover error.
+   * @param {function(string): Promise<object>} request - Sends the request to the given endpoint.
+   * @param {AbortSignal} [signal] - An aborted request is not sent to the next endpoint.
+   * @returns {Promise<object>} The axios response, with the endpoint which served it in response.endpoint.
+   * @private
+   */
+  async _requestWithFailover(request, signal) {
+    const endpoints = [this.baseURL, ...this.replicaURLs];
+    for (let i = 0; ; i++) {
+      try {
+        const response = await request(endpoints[i]);
+        response.endpoint = endpoints[i];
+        if (i > 0) this.logger.info(`Served by replica endpoint ${endpoints[i]}`);
+        return response;
+      } catch (error) {
+        if (i === endpoints.length - 1 || signal?.aborted || !this._isFailoverError(error)) throw error;
+        this.logger.warn(`Request to ${endpoints[i]} failed, failing over to ${endpoints[i + 1]}: ${error}`);
+      }
     }
   }
 
+  /**
+   * Check if a failed read should be sent to the next replica: on a 5xx status, a timeout or a network error without a response.
+   * @param {Error} error - The axios error.
+   * @returns {boolean}
+   * @private
+   */
+  _isFailoverError(error) {
+    if (!error?.isAxiosError || error.code === 'ERR_CANCELED') return false;
+    return error.response ? error.response.status >= 500 : true;
+  }
+
+  /**
+   * Check if a remote file is excluded by the excludedFileTypes, include, exclude or fileFilter options of listFiles.
+   * @param {object} file - The file object as returned by listFiles.
+   * @param {object} options The options object.
+   * @param {string[]} [options.excludedFileTypes] - File types that should not be included.
+   * @param {function} [options.fileFilter] - Receives the remote filepath (without the storage zone) and the relative path, the file is excluded if it returns false.
+   * @param {PathFilter} [options.pathFilter] - The include and exclude patterns.
+   * @param {string} options.relativePath - The path of the file relative to the root of the operation, matched against the patterns.
+   * @returns {string|null} The name of the option excluding the file, or null if the file is included.
+   * @private
+   */
+  _getExclusionReason(file, {excludedFileTypes, fileFilter, pathFilter, relativePath}) {
+    if (excludedFileTypes?.length && excludedFileTypes.includes(path.extname(file.ObjectName))) return 'excludedFileTypes';
+    const patternReason = pathFilter?.getExclusionReason(relativePath);
+    if (patternReason) return patternReason;
+    if (fileFilter && !fileFilter(this._getFilePath(this.getRemotePathFromFileWithoutStorageZone(file), file.ObjectName), relativePath)) return 'fileFilter';
+    return null;
+  }
+
   /**
    * Upload a file to BunnyCDN storage.
    * @param {object} options The options object.
    * @param {string} [options.localFilePath='.'] - The local file path. Defaults to the current directory.
    * @param {string} [options.remoteDirectory='/']  - The remote directory path. Leave blank or use '/' to upload to the root directory.
+   * @param {boolean} [options.verify=false] - Send the SHA-256 checksum of the file, so the storage rejects the upload if the received data does not match. A rejected upload throws an IntegrityError.
+   * @param {function(ProgressEvent)} [options.onProgress] - Called with the upload progress. The progress is also emitted as 'progress' event.
+   * @param {AbortSignal} [options.signal] - Cancels the upload when aborted, rejecting with an AbortError.
+   * @param {number} [options.timeout] - The timeout in milliseconds for the request. Defaults to the timeout of the instance.
+   * @param {boolean} [options.purge] - Purge the uploaded file from the pull zone cache afterwards. Defaults to the autoPurge option of the pull zone.
+   * @param {boolean} [options.encrypt=false] - Encrypt the file with the current key of the encryption option before it leaves the machine. With verify, the checksum of the encrypted data is sent, the file is encrypted twice for it.
+   * @param {ProgressTracker} [_tracker] Used internally to report the progress of folder operations.
    */
-  async uploadFile({localFilePath = '.', remoteDirectory = '/'}) {
+  async uploadFile({localFilePath = '.', remoteDirectory = '/', verify = false, onProgress, signal, timeout, purge, encrypt = false}, _tracker) {
+    let remotePath, url;
     try {
+      remotePath = this._getFilePath(remoteDirectory, path.basename(localFilePath));
+      url = this._getFullStorageUrl(remoteDirectory, path.basename(localFilePath));
+      this._throwIfAborted(signal);
+
       const fileExists = await fse.pathExists(localFilePath);
       if (!fileExists) {
         this.logger.error(`Upload failed: File does not exist: ${localFilePath}`);
-        throw new Error(`Upload failed: File does not exist: ${localFilePath}`);
+        throw new LocalFileError(`Upload failed: File does not exist: ${localFilePath}`, {localPath: localFilePath});
       }
 
       this.logger.info(`Uploading ${localFilePath} to ${remoteDirectory}`);
 
-      const fileData = fse.createReadStream(localFilePath);
       const fileName = path.basename(localFilePath); // Extract the file name from the local file path
+      const fileSize = (await fse.stat(localFilePath)).size;
 
-      const url = this._getFullStorageUrl(remoteDirectory, fileName);
+      const encryption = encrypt ? this._requireEncryption('uploadFile') : null;
+      const contentLength = encryption ? getEncryptedSize(fileSize, encryption.keyId) : fileSize;
 
-      const config = {
-        headers: {
-          'AccessKey': this.accessKey,
-          'Content-Type': 'application/octet-stream'
-        }
-      };
+      // Encrypted data differs with each attempt due to the random IV, so its checksum is computed for each attempt
+      let encryptedChecksum;
+      const checksum = !verify ? undefined : encryption ? () => encryptedChecksum : await this._computeFileChecksum(localFilePath);
+
+      const response = await this._putData({
+        url,
+        // The file is streamed, so each attempt needs a new read stream
+        createBody: async () => {
+          if (!encryption) return fse.createReadStream(localFilePath);
+          if (!verify) return this._encryptStream(fse.createReadStream(localFilePath), encryption);
+
+          // The file is encrypted twice with the same IV, once to compute the checksum and once for the upload
+          const iv = crypto.randomBytes(ENCRYPTION_IV_LENGTH);
+          const hash = crypto.createHash('sha256');
+          for await (const chunk of this._encryptStream(fse.createReadStream(localFilePath), encryption, iv)) hash.update(chunk);
+          encryptedChecksum = hash.digest('hex').toUpperCase();
+          return this._encryptStream(fse.createReadStream(localFilePath), encryption, iv);
+        },
+        replayable: true,
+        contentLength,
+        checksum,
+        file: {localPath: localFilePath, remotePath},
+        tracker: _tracker || this._createProgressTracker('uploadFile', onProgress, {totalBytes: contentLength}),
+        purge,
+        signal,
+        timeout
+      });
 
-      return await axios.put(url, fileData, config);
+      return response;
     } catch (error) {
-      this.logger.error(`uploadFile Error: ${error}, localFilePath: ${localFilePath}, remoteDirectory: ${remoteDirectory}. URL: ${this._getFullStorageUrl(remoteDirectory, path.basename(localFilePath))}`);
-      throw error;
+      this.logger.error(`uploadFile Error: ${error}, localFilePath: ${localFilePath}, remoteDirectory: ${remoteDirectory}. URL: ${url}`);
+      throw BunnyStorageError.from(error, {
+        operation: 'uploadFile',
+        remotePath: remotePath || `${remoteDirectory}/${path.basename(localFilePath)}`,
+        localPath: localFilePath,
+        url
+      });
 
     }
   }
 
   /**
-   * Download a file from BunnyCDN storage.
+   * Upload data from memory to BunnyCDN storage.
    * @param {object} options The options object.
-   * @param {string} [options.remoteDirectory='/']  - The remote directory path. Leave blank or use '/' to download a file from the root directory.
-   * @param {string} options.fileName - The name of the file to download.
-   * @param {string} [options.localDirectory='.'] - The local directory to download the file to. Defaults to the current directory.
-   * @returns {Promise<string>} - Returns a promise that resolves with the local file path of the downloaded file.
+   * @param {Buffer|Uint8Array|string} options.data - The file content. Strings are encoded as UTF-8.
+   * @param {string} [options.remoteDirectory='/'] - The remote directory path. Leave blank or use '/' to upload to the root directory.
+   * @param {string} options.fileName - The name of the remote file.
+   * @param {boolean} [options.verify=false] - Send the SHA-256 checksum of the data, so the storage rejects the upload if the received data does not match. A rejected upload throws an IntegrityError.
+   * @param {function(ProgressEvent)} [options.onProgress] - Called with the upload progress. The progress is also emitted as 'progress' event.
+   * @param {AbortSignal} [options.signal] - Cancels the upload when aborted, rejecting with an AbortError.
+   * @param {number} [options.timeout] - The timeout in milliseconds for the request. Defaults to the timeout of the instance.
+   * @param {boolean} [options.purge] - Purge the uploaded file from the pull zone cache afterwards. Defaults to the autoPurge option of the pull zone.
    */
-  async downloadFile({remoteDirectory = '/', fileName, localDirectory = '.'}) {
+  async uploadBuffer({data, remoteDirectory = '/', fileName, verify = false, onProgress, signal, timeout, purge}) {
+    let remotePath, url;
     try {
+      remotePath = this._getFilePath(remoteDirectory, fileName);
+      url = this._getFullStorageUrl(remoteDirectory, fileName);
+      this._throwIfAborted(signal);
+
       if (!fileName) {
-        this.logger.error('downloadFile: No file name provided');
-        throw new Error('downloadFile: No file name provided');
+        this.logger.error('uploadBuffer: No file name provided');
+        throw new InvalidArgumentError('uploadBuffer: No file name provided');
+      }
+      if (data === undefined || data === null) {
+        this.logger.error('uploadBuffer: No data provided');
+        throw new InvalidArgumentError('uploadBuffer: No data provided');
       }
 
-      this.logger.info(`Downloading ${fileName} from ${remoteDirectory}`);
+      const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
 
-      const url = this._getFullStorageUrl(remoteDirectory, fileName);
+      this.logger.info(`Uploading ${buffer.length} bytes to ${remoteDirectory} as ${fileName}`);
 
-      const response = await axios.get(url, {
-        responseType: 'stream',
-        headers: {
-          'AccessKey': this.accessKey
-        }
+      return await this._putData({
+        url,
+        createBody: () => Readable.from([buffer]),
+        replayable: true,
+        contentLength: buffer.length,
+        checksum: verify ? crypto.createHash('sha256').update(buffer).digest('hex').toUpperCase() : undefined,
+        file: {remotePath},
+        tracker: this._createProgressTracker('uploadBuffer', onProgress, {totalBytes: buffer.length}),
+        purge,
+        signal,
+        timeout
+      });
+    } catch (error) {
+      this.logger.error(`uploadBuffer Error: ${error}, remoteDirectory: ${remoteDirectory}, fileName: ${fileName}. URL: ${url}`);
+      throw BunnyStorageError.from(error, {
+        operation: 'uploadBuffer',
+        remotePath: remotePath || `${remoteDirectory}/${fileName}`,
+        url
       });
+    }
+  }
 
-      const localPath = path.join(localDirectory, fileName);
+  /**
+   * Upload a readable stream to BunnyCDN storage. A stream can only be consumed once, so a failed upload is not retried.
+   * @param {object} options The options object.
+   * @param {Readable} options.stream - The readable stream with the file content.
+   * @param {string} [options.remoteDirectory='/'] - The remote directory path. Leave blank or use '/' to upload to the root directory.
+   * @param {string} options.fileName - The name of the remote file.
+   * @param {number} [options.contentLength] - The size of the content in bytes. If omitted, the content is sent with chunked transfer encoding.
+   * @param {string} [options.checksum] - The SHA-256 checksum of the content, so the storage rejects the upload if the received data does not match. A rejected upload throws an IntegrityError.
+   * @param {function(ProgressEvent)} [options.onProgress] - Called with the upload progress. The progress is also emitted as 'progress' event.
+   * @param {AbortSignal} [options.signal] - Cancels the upload when aborted, rejecting with an AbortError.
+   * @param {number} [options.timeout] - The timeout in milliseconds for the request. Defaults to the timeout of the instance.
+   * @param {boolean} [options.purge] - Purge the uploaded file from the pull zone cache afterwards. Defaults to the autoPurge option of the pull zone.
+   */
+  async uploadStream({stream, remoteDirectory = '/', fileName, contentLength, checksum, onProgress, signal, timeout, purge}) {
+    let remotePath, url;
+    try {
+      remotePath = this._getFilePath(remoteDirectory, fileName);
+      url = this._getFullStorageUrl(remoteDirectory, fileName);
+      this._throwIfAborted(signal);
 
-      await fse.ensureDir(localDirectory);
+      if (!fileName) {
+        this.logger.error('uploadStream: No file name provided');
+        throw new InvalidArgumentError('uploadStream: No file name provided');
+      }
+      if (!isStream(stream)) {
+        this.logger.error('uploadStream: No readable stream provided');
+        throw new InvalidArgumentError('uploadStream: No readable stream provided');
+      }
 
-      // Create a writable stream and pipe the response data to it
-      const fileStream = fse.createWriteStream(localPath);
-      response.data.pipe(fileStream);
+      this.logger.info(`Uploading stream to ${remoteDirectory} as ${fileName}`);
 
-      // Return a promise that resolves when the file has finished downloading
-      return new Promise((resolve, reject) => {
-        fileStream.on('finish', () => {
-          this.logger.info(`Downloaded ${fileName} to ${localPath}`);
-          resolve(localPath);
-        });
-        fileStream.on('error', () => {
-          this.logger.error(`Error downloading ${fileName} to ${localPath}. URL: ${url}`);
-          reject(localPath);
-        });
+      return await this._putData({
+        url,
+        createBody: () => stream,
+        replayable: false,
+        contentLength,
+        checksum: checksum?.toUpperCase(),
+        file: {remotePath},
+        tracker: this._createProgressTracker('uploadStream', onProgress, {totalBytes: contentLength}),
+        purge,
+        signal,
+        timeout
       });
     } catch (error) {
-      this.logger.error(`downloadFile Error:: ${error}, remoteDirectory: ${remoteDirectory}, fileName: ${fileName}, localDirectory: ${localDirectory}, url: ${this._getFullStorageUrl(remoteDirectory, fileName)}`);
-      throw error;
+      this.logger.error(`uploadStream Error: ${error}, remoteDirectory: ${remoteDirectory}, fileName: ${fileName}. URL: ${url}`);
+      throw BunnyStorageError.from(error, {
+        operation: 'uploadStream',
+        remotePath: remotePath || `${remoteDirectory}/${fileName}`,
+        url
+      });
     }
   }
 
-
   /**
-   * Delete a file from BunnyCDN storage.
+   * Upload data to the storage, retrying failed attempts with a new body if the body can be created again.
    * @param {object} options The options object.
-   * @param {string} [options.remoteDirectory='/'] - The remote directory path. Leave blank or use '/' to delete a file from the root directory.
-   * @param {string} options.fileName - The name of the file to delete. If it is a directory, the directory and all files in the directory will be deleted. If remoteDirectory and fileName are blank, all files in the storage zone will be deleted.
+   * @param {string} options.url - The remote storage URL.
+   * @param {function(): Readable|Promise<Readable>} options.createBody - Creates the request body for an attempt.
+   * @param {boolean} options.replayable - Whether createBody can be called again for a retry.
+   * @param {number} [options.contentLength] - The size of the body in bytes, if known.
+   * @param {string|function(): string} [options.checksum] - The SHA-256 checksum of the body, sent for the server-side verification. A function is called after each createBody, for bodies which differ with each attempt.
+   * @param {{localPath: string, remotePath: string}} options.file - The uploaded file, used for the progress events.
+   * @param {ProgressTracker} options.tracker - The progress tracker.
+   * @param {boolean} [options.purge] - Purge the uploaded file from the pull zone cache afterwards.
+   * @param {AbortSignal} [options.signal] - The abort signal.
+   * @param {number} [options.timeout] - The timeout in milliseconds for each request.
+   * @returns {Promise<object>} The axios response.
+   * @private
    */
-  async delete({remoteDirectory = '/', fileName}) {
-    if (!fileName) {
-      this.logger.error(`delete: No file name provided, remoteDirectory: ${remoteDirectory}`);
-      throw new Error(`delete: No file name provided, remoteDirectory: ${remoteDirectory}`);
-    }
+  async _putData({url, createBody, replayable, contentLength, checksum, file, tracker, purge, signal, timeout}) {
+    const config = {
+      ...this._getRequestOptions({signal, timeout}),
+      headers: {
+        'AccessKey': this.accessKey,
+        'Content-Type': 'application/octet-stream'
+      }
+    };
+    if (contentLength !== undefined) config.headers['Content-Length'] = contentLength;
+
+    const trackerKey = file.localPath || file.remotePath;
+    let sentChecksum;
+
     try {
-      this.logger.info(`Deleting ${fileName} from ${remoteDirectory}`);
-      const url = this._getFullStorageUrl(remoteDirectory, fileName);
-      await axios.delete(url, {
-        headers: {
-          'AccessKey': this.accessKey,
-          'Content-Type': 'application/json'
+      for (let attempt = 0; ; attempt++) {
+        tracker.startFile({...file, totalBytes: contentLength});
+        const body = this._countBytes(await createBody(), (bytes) => tracker.addBytes(trackerKey, bytes));
+        sentChecksum = typeof checksum === 'function' ? checksum() : checksum;
+        if (sentChecksum) config.headers['Checksum'] = sentChecksum;
+        try {
+          const response = await this.http.put(url, body, config);
+          tracker.completeFile(trackerKey);
+          await this._purgeAfterWrite([file.remotePath], purge, {signal, timeout});
+          return response;
+        } catch (error) {
+          if (!replayable || attempt >= this.retryPolicy.retries || !this._isRetryableError(error)) throw error;
+          const delay = this._getRetryDelay(attempt + 1, error);
+          this.logger.info(`Retrying upload of ${trackerKey} in ${Math.round(delay)}ms (${attempt + 1} of ${this.retryPolicy.retries}): ${error}`);
+          this._callHook('onRetry', {method: 'PUT', url, attempt: attempt + 2, error});
+          await sleep(delay, undefined, {signal});
         }
-      });
-
-      this.logger.info(`Deleted ${fileName} from ${remoteDirectory}, it's url was ${url}`);
-      return url;
+      }
     } catch (error) {
-      this.logger.error(`delete Error: ${error}, remoteDirectory: ${remoteDirectory}, file: ${fileName}, url: ${this._getFullStorageUrl(remoteDirectory, fileName)}`);
+      // The storage API responds with 400 if the checksum does not match the received data
+      if (sentChecksum && error.response?.status === 400) {
+        throw new IntegrityError(`Upload rejected due to checksum mismatch: ${trackerKey}`, {
+          expectedChecksum: sentChecksum, localPath: file.localPath, url, status: 400, cause: error
+        });
+      }
       throw error;
     }
   }
 
   /**
-   * Upload many files to BunnyCDN storage.
+   * Download a file from BunnyCDN storage.
    * @param {object} options The options object.
-   * @param {string} [options.localDirectory ='./']- The local directory path. Defaults to the current directory.
-   * @param {string} [options.remoteDirectory='/']  - The remote directory path. Leave blank or use '/' to upload files to the root directory.
-   * @param {boolean} [options.recursive=false] - Include local subdirectories.
-   * @param {string[]} [options.excludedFileTypes=[]] - File types to exclude from the upload.
-   * @param {function} options.fileFilter - Can be used to exclude individual files. The function receives the filepath as a parameter. If the callback returns false, the file will not be uploaded.
+   * @param {string} [options.remoteDirectory='/']  - The remote directory path. Leave blank or use '/' to download a file from the root directory.
+   * @param {string} options.fileName - The name of the file to download.
+   * @param {string} [options.localDirectory='.'] - The local directory to download the file to. Defaults to the current directory. A file name leading outside of it (e.g. containing '..') is rejected with an UnsafePathError.
+   * @param {boolean} [options.verify=false] - Compare the SHA-256 checksum of the downloaded data with the checksum of the remote file. On a mismatch the downloaded file is removed and an IntegrityError is thrown.
+   * @param {string} [options.checksum] - The expected checksum, e.g. the Checksum field returned by listFiles. If omitted and verify is true, it is looked up by listing the remote directory.
+   * @param {boolean} [options.resume=true] - Keep the temporary '.part' file of an interrupted download and continue it with a range request, instead of downloading the whole file again. The version of the remote file (its checksum, ETag and Last-Modified header) is stored in a '.part.json' file, a partial file of another version is discarded. Not supported with decrypt.
+   * @param {boolean} [options.decrypt=false] - Decrypt a file uploaded with encrypt, using the key from its header. A file which is not encrypted, was modified or uses an unknown key is rejected with a DecryptionError and nothing is written. With verify, the checksum of the encrypted data is compared.
+   * @param {function(ProgressEvent)} [options.onProgress] - Called with the download progress. The progress is also emitted as 'progress' event.
+   * @param {AbortSignal} [options.signal] - Cancels the download when aborted, rejecting with an AbortError. The partial file is removed.
+   * @param {number} [options.timeout] - The timeout in milliseconds for each request. Defaults to the timeout of the instance.
+   * @param {ProgressTracker} [_tracker] Used internally to report the progress of folder operations.
+   * @param {object} [_details] Used internally to record the endpoint which served the download in _details.endpoint.
+   * @returns {Promise<string>} - Returns a promise that resolves with the local file path of the downloaded file.
    */
-  async uploadFolder({
-                       localDirectory = './',
+  async downloadFile({
                        remoteDirectory = '/',
-                       recursive = false,
-                       excludedFileTypes = [],
-                       fileFilter
-                     }) {
+                       fileName,
+                       localDirectory = '.',
+                       verify = false,
+                       checksum,
+                       resume = true,
+                       decrypt = false,
+                       onProgress,
+                       signal,
+                       timeout
+                     }, _tracker, _details) {
+    let remotePath, url, localPath;
     try {
-      const dirExists = await fse.pathExists(localDirectory);
-      if (!dirExists) {
-        this.logger.error(`uploadFolder failed: local directory does not exist: ${localDirectory}`);
-        throw new Error(`uploadFolder failed: local directory does not exist: ${localDirectory}`);
+      remotePath = this._getFilePath(remoteDirectory, fileName);
+      url = this._getFullStorageUrl(remoteDirectory, fileName);
+      this._throwIfAborted(signal);
+
+      if (!fileName) {
+        this.logger.error('downloadFile: No file name provided');
+        throw new InvalidArgumentError('downloadFile: No file name provided');
       }
 
-      this.logger.info(`Uploading files from ${localDirectory} to ${remoteDirectory}`);
+      this.logger.info(`Downloading ${fileName} from ${remoteDirectory}`);
 
-      // Read all files from the local directory
-      let items = await fse.readdir(localDirectory);
-
-      const promises = [];
-
-      for (const item of items) {
-        const fullPath = path.join(localDirectory, item);
-        const relativePath = path.relative(localDirectory, fullPath);
-        const itemStat = await fse.stat(fullPath);
-
-        if (itemStat.isDirectory()) {
-          if (recursive) {
-            const newRemoteDirectory = path.join(remoteDirectory, relativePath);
-            promises.push(
-              this.uploadFolder({
-                localDirectory: fullPath,
-                remoteDirectory: newRemoteDirectory,
-                recursive,
-                excludedFileTypes,
-                fileFilter
-              })
-            );
-          }
-        } else {
-          // Filter out excluded file types
-          if (excludedFileTypes?.length) {
-            const ext = path.extname(relativePath);
-            if (excludedFileTypes.includes(ext)) continue;
-          }
+      localPath = this._getSafeLocalPath(localDirectory, fileName);
+
+      const decryption = decrypt ? this._requireEncryption('downloadFile') : null;
+      // The '.part' file of a decrypted download contains plaintext, which can't be continued with a range request
+      if (decryption) resume = false;
+
+      if (verify && !checksum) checksum = await this._getRemoteChecksum(remoteDirectory, fileName, {signal, timeout});
+
+      // The data is written to a temporary file, which is only renamed to the final path once the download is complete.
+      // The version of the remote file is stored next to it, so a resumed download never continues with the data of another version.
+      const partPath = localPath + '.part';
+      const versionPath = partPath + '.json';
+
+      await fse.ensureDir(path.dirname(localPath));
+
+      let hash;
+      let remoteChecksum = checksum;
+      const tracker = _tracker || this._createProgressTracker('downloadFile', onProgress);
+
+      for (let attempt = 0; ; attempt++) {
+        let offset = resume && await fse.pathExists(partPath) ? (await fse.stat(partPath)).size : 0;
+
+        let partVersion = offset ? await fse.readJson(versionPath).catch(() => null) : null;
+        if (partVersion?.checksum) {
+          remoteChecksum = remoteChecksum || await this._getRemoteChecksum(remoteDirectory, fileName, {signal, timeout});
+          if (remoteChecksum?.toUpperCase() !== partVersion.checksum) partVersion = null;
+        }
+        if (offset && !partVersion) {
+          this.logger.info(`Discarding partial download ${partPath}, it is not of the current version of the remote file`);
+          offset = 0;
+        }
+
+        const headers = {'AccessKey': this.accessKey};
+        if (offset) {
+          headers['Range'] = `bytes=${offset}-`;
+          // The server sends the complete file instead of the range if the file has changed
+          if (partVersion.etag || partVersion.lastModified) headers['If-Range'] = partVersion.etag || partVersion.lastModified;
+        }
+
+        const response = await this._requestWithFailover((endpoint) => this.http.get(this._getFullStorageUrl(remoteDirectory, fileName, endpoint), {
+          ...this._getRequestOptions({signal, timeout}),
+          responseType: 'stream',
+          headers,
+          validateStatus: (status) => (status >= 200 && status < 300) || status === 416
+        }), signal);
+        if (_details) _details.endpoint = response.endpoint;
+
+        if (response.status === 416) {
+          // The partial file is at least as large as the remote file, it is downloaded again from the start
+          response.data.destroy();
+          this.logger.info(`Discarding partial download ${partPath}, the requested range is not satisfiable`);
+          await fse.remove(partPath);
+          continue;
+        }
 
-          // Filter out files using the fileFilter function, skip if it returns false
-          if (fileFilter) {
-            if (!fileFilter(relativePath)) continue;
+        const responseVersion = {etag: response.headers['etag'], lastModified: response.headers['last-modified']};
+        if (offset && !this._isSameVersion(partVersion, responseVersion)) {
+          // e.g. a replica which has another version of the file than the endpoint which sent the beginning
+          response.data.destroy();
+          this.logger.info(`Discarding partial download ${partPath}, the remote file has changed`);
+          await fse.remove(partPath);
+          continue;
+        }
+
+        // The server may ignore the range header and send the complete file
+        const rangeStart = response.status === 206 ? Number(/bytes (\d+)-/.exec(response.headers['content-range'])?.[1]) : 0;
+        if (offset && rangeStart !== offset) offset = 0;
+        if (offset) this.logger.info(`Resuming download of ${fileName} at byte ${offset}`);
+        if (!offset && resume) await fse.writeJson(versionPath, {checksum: remoteChecksum?.toUpperCase(), ...responseVersion});
+
+        const contentLength = Number(response.headers['content-length']);
+        const totalBytes = Number.isNaN(contentLength) ? undefined : offset + contentLength;
+        if (!_tracker) tracker.totalBytes = totalBytes;
+        tracker.startFile({localPath, remotePath, totalBytes, bytesTransferred: offset});
+
+        hash = crypto.createHash('sha256');
+        if (verify && checksum && offset) {
+          for await (const chunk of fse.createReadStream(partPath)) hash.update(chunk);
+        }
+
+        // Pipe the response data to the file, the promise resolves when the file has finished downloading
+        try {
+          await pipeline(response.data, async function* (source) {
+            for await (const chunk of source) {
+              hash.update(chunk);
+              tracker.addBytes(localPath, chunk.length);
+              yield chunk;
+            }
+          }, ...(decryption ? [createDecryptStream(decryption.keys)] : []), fse.createWriteStream(partPath, {flags: offset ? 'a' : 'w'}));
+          break;
+        } catch (error) {
+          if (resume && attempt < this.retryCount && !signal?.aborted) {
+            this.logger.info(`Download of ${fileName} was interrupted, resuming (${attempt + 1} of ${this.retryCount}): ${error}`);
+            this._callHook('onRetry', {method: 'GET', url, attempt: attempt + 2, error});
+            continue;
           }
+          this.logger.error(`Error downloading ${fileName} to ${partPath}. URL: ${url}`);
+          if (!resume) await fse.remove(partPath);
+          // Errors without a syscall come from the response stream, the others from writing the file
+          if (!error.syscall && !signal?.aborted && !(error instanceof DecryptionError)) throw new RequestError(`downloadFile failed: ${error.message}: ${url}`, {cause: error});
+          throw error;
+        }
+      }
 
-          promises.push(
-            this.sema.acquire().then(() => {
-              return this.uploadFile({
-                localFilePath: fullPath,
-                remoteDirectory
-              }).then(() => {
-                this.sema.release();
-                return fullPath; // Resolve with the uploaded file's path
-              });
-            })
-          );
+      if (verify && checksum) {
+        const actualChecksum = hash.digest('hex').toUpperCase();
+        if (actualChecksum !== checksum.toUpperCase()) {
+          await fse.remove(partPath);
+          await fse.remove(versionPath);
+          throw new IntegrityError(`Checksum mismatch for downloaded file ${localPath}`, {
+            expectedChecksum: checksum.toUpperCase(), actualChecksum, localPath, url
+          });
         }
       }
 
-      const uploadedFiles = await Promise.all(promises);
-      this.logger.info(`Uploaded ${uploadedFiles.length} files from ${localDirectory} to ${remoteDirectory}`);
-      return uploadedFiles;
+      await fse.move(partPath, localPath, {overwrite: true});
+      await fse.remove(versionPath);
+      tracker.completeFile(localPath);
+
+      this.logger.info(`Downloaded ${fileName} to ${localPath} from ${_details?.endpoint || this.baseURL}`);
+      return localPath;
     } catch (error) {
-      this.logger.error(`uploadFolder Error: ${error}, localDirectory: ${localDirectory}, remoteDirectory: ${remoteDirectory}`);
-      throw error;
+      this.logger.error(`downloadFile Error:: ${error}, remoteDirectory: ${remoteDirectory}, fileName: ${fileName}, localDirectory: ${localDirectory}, url: ${url}`);
+      // An aborted download can't be resumed, so the partial file is removed
+      if (signal?.aborted && localPath) {
+        await fse.remove(localPath + '.part');
+        await fse.remove(localPath + '.part.json');
+      }
+      throw BunnyStorageError.from(error, {
+        operation: 'downloadFile',
+        remotePath: remotePath || `${remoteDirectory}/${fileName}`,
+        localPath,
+        url
+      });
     }
   }
 
+
   /**
-   * Download a folder from BunnyCDN storage.
+   * Check if a response is of the version of a remote file a partial download was started with.
+   * @param {{checksum?: string, etag?: string, lastModified?: string}} partVersion - The version stored next to the partial file. Its checksum was already compared.
+   * @param {{etag?: string, lastModified?: string}} responseVersion - The ETag and Last-Modified headers of the response.
+   * @returns {boolean} false if a header differs, or if there is nothing to compare.
+   * @private
+   */
+  _isSameVersion(partVersion, responseVersion) {
+    const comparable = ['etag', 'lastModified'].filter((key) => partVersion[key] && responseVersion[key]);
+    if (comparable.some((key) => partVersion[key] !== responseVersion[key])) return false;
+    return Boolean(partVersion.checksum || comparable.length);
+  }
+
+  /**
+   * Get a readable stream of a file in BunnyCDN storage, e.g. to pipe it into an HTTP response.
    * @param {object} options The options object.
-   * @param {string} [options.remoteDirectory='/']  The remote directory path. Leave blank or use '/' to download files from the root directory.
-   * @param {string} [options.localDirectory='.'] The local directory path where the downloaded files should be saved. Defaults to the current directory.
-   * @param {boolean} [options.recursive=fales] Should the operation be performed recursively.
-   * @param {string[]} [options.excludedFileTypes=[]] Define file types that should not be downloaded, e.g. ['.pdf', '.jpg']
-   * @param {function} options.fileFilter Can be used to exclude individual files. The function receives the remote filepath (without the storage zone) as a parameter. If the callback returns false, the file will not be downloaded.
+   * @param {string} [options.remoteDirectory='/'] - The remote directory path. Leave blank or use '/' to use the root directory.
+   * @param {string} options.fileName - The name of the file.
+   * @param {AbortSignal} [options.signal] - Cancels the request and destroys the stream when aborted.
+   * @param {number} [options.timeout] - The timeout in milliseconds for the request. Defaults to the timeout of the instance.
+   * @returns {Promise<Readable>} Resolves with the stream once the storage has responded.
    */
-  async downloadFolder({
-                         remoteDirectory = '/',
-                         localDirectory = '.',
-                         recursive = false,
-                         excludedFileTypes = [],
-                         fileFilter
-                       }) {
+  async getFileStream({remoteDirectory = '/', fileName, signal, timeout}) {
+    let remotePath, url;
     try {
-      const files = await this.listFiles({
-        remoteDirectory, recursive, excludedFileTypes, fileFilter
-      });
-
-      const totalFilesToDownload = files.length;
+      remotePath = this._getFilePath(remoteDirectory, fileName);
+      url = this._getFullStorageUrl(remoteDirectory, fileName);
+      this._throwIfAborted(signal);
 
-      this.logger.info(`Downloading ${totalFilesToDownload} files from ${remoteDirectory} to ${localDirectory}`);
-
-      let downloadedCount = 0;
-
-      const promises = [];
-
-      for (const file of files) {
-
-        const remotePath = this.getRemotePathFromFileWithoutStorageZone(file);
-
-        let downloadDestination = localDirectory;
-
-        if (recursive && remotePath) downloadDestination = path.join(localDirectory, remotePath);
-
-        promises.push(
-          this.sema.acquire().then(() => {
-            return this.downloadFile({
-              remoteDirectory: remotePath,
-              fileName: file.ObjectName,
-              localDirectory: downloadDestination
-            }).then((downloadPath) => {
-              downloadedCount++;
-              this.logger.info(`Downloaded ${downloadedCount} of ${totalFilesToDownload} files`);
-              this.sema.release();
-              return downloadPath;
-            })
-          })
-        );
+      if (!fileName) {
+        this.logger.error('getFileStream: No file name provided');
+        throw new InvalidArgumentError('getFileStream: No file name provided');
       }
 
-      const downloadPaths = await Promise.all(promises);
-      this.logger.info(`Downloaded ${downloadedCount} files from ${remoteDirectory} to ${localDirectory}`);
-      return downloadPaths;
+      this.logger.info(`Streaming ${fileName} from ${remoteDirectory}`);
+
+      const response = await this._getFileResponse(remoteDirectory, fileName, {signal, timeout});
+      this.logger.info(`Received the response for ${fileName} from ${response.endpoint}`);
+      return response.data;
     } catch (error) {
-      this.logger.error(`downloadFolder Error: ${error}, remoteDirectory: ${remoteDirectory}, localDirectory: ${localDirectory}`);
-      throw error;
+      this.logger.error(`getFileStream Error: ${error}, remoteDirectory: ${remoteDirectory}, fileName: ${fileName}, url: ${url}`);
+      throw BunnyStorageError.from(error, {
+        operation: 'getFileStream',
+        remotePath: remotePath || `${remoteDirectory}/${fileName}`,
+        url
+      });
     }
   }
+
+  /**
+   * Request a remote file with a streamed response body, failing over to the replicas.
+   * @param {string} remoteDirectory - The remote directory path.
+   * @param {string} fileName - The name of the file.
+   * @param {object} [requestOptions] The signal and timeout of the request.
+   * @returns {Promise<object>} The axios response, the body is available as stream in response.data.
+   * @private
+   */
+  _getFileResponse(remoteDirectory, fileName, requestOptions = {}) {
+    return this._requestWithFailover((endpoint) => this.http.get(this._getFullStorageUrl(remoteDirectory, fileName, endpoint), {
+      ...this._getRequestOptions(requestOptions),
+      responseType: 'stream',
+      headers: {
+        'AccessKey': this.accessKey
+      }
+    }), requestOptions.signal);
+  }
+
+  /**
+   * Read a file from BunnyCDN storage into memory.
+   * @param {object} options The options object.
+   * @param {string} [options.remoteDirectory='/'] - The remote directory path. Leave blank or use '/' to use the root directory.
+   * @param {string} options.fileName - The name of the file.
+   * @param {boolean} [options.verify=false] - Compare the SHA-256 checksum of the received data with the checksum of the remote file, throws an IntegrityError on a mismatch.
+   * @param {string} [options.checksum] - The expected checksum, e.g. the Checksum field returned by listFiles. If omitted and verify is true, it is looked up by listing the remote directory.
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted, rejecting with an AbortError.
+   * @param {number} [options.timeout] - The timeout in milliseconds for the request. Defaults to the timeout of the instance.
+   * @returns {Promise<Buffer>} The file content.
+   */
+  async readFile({remoteDirectory = '/', fileName, verify = false, checksum, signal, timeout}) {
+    let remotePath, url;
+    try {
+      remotePath = this._getFilePath(remoteDirectory, fileName);
+      url = this._getFullStorageUrl(remoteDirectory, fileName);
+      this._throwIfAborted(signal);
+
+      if (!fileName) {
+        this.logger.error('readFile: No file name provided');
+        throw new InvalidArgumentError('readFile: No file name provided');
+      }
+
+      this.logger.info(`Reading ${fileName} from ${remoteDirectory}`);
+
+      if (verify && !checksum) checksum = await this._getRemoteChecksum(remoteDirectory, fileName, {signal, timeout});
+
+      const response = await this._requestWithFailover((endpoint) => this.http.get(this._getFullStorageUrl(remoteDirectory, fileName, endpoint), {
+        ...this._getRequestOptions({signal, timeout}),
+        responseType: 'arraybuffer',
+        headers: {
+          'AccessKey': this.accessKey
+        }
+      }), signal);
+
+      const data = Buffer.from(response.data);
+      this.logger.info(`Read ${fileName} from ${response.endpoint}`);
+
+      if (verify && checksum) {
+        const actualChecksum = crypto.createHash('sha256').update(data).digest('hex').toUpperCase();
+        if (actualChecksum !== checksum.toUpperCase()) {
+          throw new IntegrityError(`Checksum mismatch for file ${fileName}`, {
+            expectedChecksum: checksum.toUpperCase(), actualChecksum, url
+          });
+        }
+      }
+
+      return data;
+    } catch (error) {
+      this.logger.error(`readFile Error: ${error}, remoteDirectory: ${remoteDirectory}, fileName: ${fileName}, url: ${url}`);
+      throw BunnyStorageError.from(error, {
+        operation: 'readFile',
+        remotePath: remotePath || `${remoteDirectory}/${fileName}`,
+        url
+      });
+    }
+  }
+
+  /**
+   * Look up the checksum of a remote file by listing its directory.
+   * @param {string} remoteDirectory - The remote directory path.
+   * @param {string} fileName - The name of the file.
+   * @param {object} [requestOptions] The signal and timeout of the request.
+   * @returns {Promise<string|undefined>} The checksum, or undefined if the file has none.
+   * @private
+   */
+  async _getRemoteChecksum(remoteDirectory, fileName, requestOptions = {}) {
+    const remoteFile = (await this.listFiles({remoteDirectory, ...requestOptions})).find((file) => file.ObjectName === fileName);
+    if (!remoteFile?.Checksum) this.logger.info(`No checksum listed for ${fileName}`);
+    return remoteFile?.Checksum || undefined;
+  }
+
+  /**
+   * Compute the checksum of a remote file by downloading it, for files the listing has no checksum for.
+   * @param {string} remoteDirectory - The remote directory path.
+   * @param {string} fileName - The name of the file.
+   * @param {object} [requestOptions] The signal and timeout of the request.
+   * @returns {Promise<string>} The SHA-256 checksum in upper case.
+   * @private
+   */
+  async _computeRemoteChecksum(remoteDirectory, fileName, requestOptions = {}) {
+    const response = await this._getFileResponse(remoteDirectory, fileName, requestOptions);
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of response.data) hash.update(chunk);
+    return hash.digest('hex').toUpperCase();
+  }
+
+  /**
+   * Delete a file from BunnyCDN storage.
+   * @param {object} options The options object.
+   * @param {string} [options.remoteDirectory='/'] - The remote directory path. Leave blank or use '/' to delete a file from the root directory.
+   * @param {string} options.fileName - The name of the file to delete. If it is a directory, the directory and all files in the directory will be deleted. Protected paths and the storage zone root are rejected with a ProtectedPathError.
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted, rejecting with an AbortError.
+   * @param {number} [options.timeout] - The timeout in milliseconds for the request. Defaults to the timeout of the instance.
+   * @param {boolean} [options.purge] - Purge the deleted file, or everything inside the deleted directory with a wildcard, from the pull zone cache afterwards. A directory is recognized by listing its parent before the delete. Defaults to the autoPurge option of the pull zone.
+   */
+  async delete({remoteDirectory = '/', fileName, signal, timeout, purge}) {
+    if (!fileName) {
+      this.logger.error(`delete: No file name provided, remoteDirectory: ${remoteDirectory}`);
+      throw new InvalidArgumentError(`delete: No file name provided, remoteDirectory: ${remoteDirectory}`, {operation: 'delete', remotePath: remoteDirectory});
+    }
+    let remotePath, url;
+    try {
+      // Rejects '.' and '..' segments first, so 'a/..' can't name the root or a protected path without being recognized
+      remotePath = this._getFilePath(remoteDirectory, fileName);
+      this._checkDeletable('delete', remotePath);
+
+      // A directory is purged with a wildcard, whether the path is a directory is only known before it is deleted
+      const isDirectory = (purge ?? this.pullZone?.autoPurge) && await this._isRemoteDirectory(remotePath, {signal, timeout});
+
+      this.logger.info(`Deleting ${fileName} from ${remoteDirectory}`);
+      url = this._getFullStorageUrl(remoteDirectory, fileName);
+      await this.http.delete(url, {
+        ...this._getRequestOptions({signal, timeout}),
+        headers: {
+          'AccessKey': this.accessKey,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      this.logger.info(`Deleted ${fileName} from ${remoteDirectory}, it's url was ${url}`);
+
+      await this._purgeAfterWrite([isDirectory ? `${remotePath}/*` : remotePath], purge, {signal, timeout});
+      return url;
+    } catch (error) {
+      this.logger.error(`delete Error: ${error}, remoteDirectory: ${remoteDirectory}, file: ${fileName}, url: ${url}`);
+      throw BunnyStorageError.from(error, {operation: 'delete', remotePath: remotePath || `${remoteDirectory}/${fileName}`, url});
+    }
+  }
+
+  /**
+   * Check if a remote path is a directory, by listing its parent directory.
+   * @param {string} remotePath - The remote path (without the storage zone).
+   * @param {object} [requestOptions] The signal and timeout of the request.
+   * @returns {Promise<boolean>} false for files and missing paths.
+   * @private
+   */
+  async _isRemoteDirectory(remotePath, requestOptions = {}) {
+    const parentDirectory = path.posix.dirname(remotePath);
+    const files = await this.listFiles({remoteDirectory: parentDirectory === '.' ? '/' : parentDirectory, includeFolders: true, ...requestOptions});
+    return files.some((file) => file.IsDirectory && file.ObjectName === path.posix.basename(remotePath));
+  }
+
+  /**
+   * Delete the files of a remote directory which match the given criteria. The files are deleted in parallel, limited by the concurrency.
+   * Protected paths are never deleted, they are reported as skipped. Folders are not deleted, even if they are empty afterwards.
+   * @param {object} options The options object.
+   * @param {string} [options.remoteDirectory='/'] - The remote directory path. Deleting from the root directory requires at least one criterion, so the whole storage zone can't be emptied by accident.
+   * @param {boolean} [options.recursive=false] - Include subdirectories.
+   * @param {string[]} [options.excludedFileTypes=[]] - File types to keep, e.g. ['.pdf', '.jpg']
+   * @param {function} [options.fileFilter] - Receives the remote filepath (without the storage zone) and the path relative to remoteDirectory, the file is kept if it returns false.
+   * @param {string[]} [options.include=[]] - Gitignore-style patterns, only files matching them are deleted. The patterns are matched against the path relative to remoteDirectory.
+   * @param {string[]} [options.exclude=[]] - Gitignore-style patterns of files and directories to keep.
+   * @param {Date|number} [options.olderThan] - Only delete files last changed before this date, or more than this number of milliseconds ago.
+   * @param {number} [options.minSize] - Only delete files with at least this number of bytes.
+   * @param {number} [options.maxSize] - Only delete files with at most this number of bytes.
+   * @param {boolean} [options.dryRun=false] - Only return the remote paths of the files which would be deleted, without deleting anything.
+   * @param {boolean} [options.continueOnError=false] - Keep deleting the remaining files if a file fails and resolve with a transfer report instead of rejecting.
+   * @param {AbortSignal} [options.signal] - Cancels the running deletions and skips the queued ones when aborted, rejecting with an AbortError.
+   * @param {number} [options.timeout] - The timeout in milliseconds for each request. Defaults to the timeout of the instance.
+   * @param {boolean} [options.purge] - Purge the remoteDirectory with a wildcard from the pull zone cache once all files are deleted. Defaults to the autoPurge option of the pull zone.
+   * @returns {Promise<string[]|TransferReport>} The remote paths of the deleted files (or of the files which would be deleted with dryRun), or a transfer report if continueOnError is true. The report entries have a remotePath only.
+   */
+  async deleteFiles({
+                      remoteDirectory = '/',
+                      recursive = false,
+                      excludedFileTypes = [],
+                      fileFilter,
+                      include = [],
+                      exclude = [],
+                      olderThan,
+                      minSize,
+                      maxSize,
+                      dryRun = false,
+                      continueOnError = false,
+                      signal,
+                      timeout,
+                      purge
+                    }) {
+    try {
+      const hasCriteria = [excludedFileTypes, include, exclude].some((list) => list.length) || [fileFilter, olderThan, minSize, maxSize].some((value) => value !== undefined);
+      if (!this._getFilePath(remoteDirectory) && !hasCriteria) {
+        this.logger.error('deleteFiles: Deleting from the storage zone root requires at least one criterion');
+        throw new ProtectedPathError('deleteFiles: Deleting from the storage zone root requires at least one criterion', {remotePath: '/'});
+      }
+
+      const cutoff = olderThan instanceof Date ? olderThan.getTime() : olderThan !== undefined ? Date.now() - olderThan : undefined;
+      if (Number.isNaN(cutoff)) {
+        this.logger.error(`deleteFiles: olderThan must be a Date or a number of milliseconds, got ${olderThan}`);
+        throw new InvalidArgumentError(`deleteFiles: olderThan must be a Date or a number of milliseconds, got ${olderThan}`);
+      }
+
+      const files = await this.listFiles({remoteDirectory, recursive, excludedFileTypes, fileFilter, include, exclude, signal, timeout});
+
+      const tasks = [];
+      const skipped = [];
+
+      for (const file of files) {
+        if (cutoff !== undefined && this._getLastChanged(file) >= cutoff) continue;
+        if (minSize !== undefined && file.Length < minSize) continue;
+        if (maxSize !== undefined && file.Length > maxSize) continue;
+
+        const fileDirectory = this.getRemotePathFromFileWithoutStorageZone(file);
+        const remotePath = this._getFilePath(fileDirectory, file.ObjectName);
+        if (this._isProtectedPath(remotePath)) {
+          skipped.push({remotePath, reason: 'protected'});
+          continue;
+        }
+
+        tasks.push({
+          entry: {remotePath},
+          run: () => this.delete({remoteDirectory: fileDirectory, fileName: file.ObjectName, signal, timeout, purge: false}).then(() => remotePath)
+        });
+      }
+
+      if (dryRun) {
+        this.logger.info(`deleteFiles: Would delete ${tasks.length} files from ${remoteDirectory}, ${skipped.length} protected`);
+        return tasks.map(({entry}) => entry.remotePath);
+      }
+
+      this.logger.info(`deleteFiles: Deleting ${tasks.length} files from ${remoteDirectory}, ${skipped.length} protected`);
+
+      const report = await this._runTransfers(tasks, {
+        continueOnError,
+        skipped,
+        signal,
+        onFinish: (report, signal) => this._purgeAfterWrite(this._getPurgeWildcards(report, [remoteDirectory]), purge, {signal, timeout})
+      });
+
+      this.logger.info(`deleteFiles: Deleted ${report.succeeded.length} files from ${remoteDirectory}, ${report.failed.length} failed`);
+      return continueOnError ? report : report.succeeded.map(({result}) => result);
+    } catch (error) {
+      this.logger.error(`deleteFiles Error: ${error}, remoteDirectory: ${remoteDirectory}`);
+      throw BunnyStorageError.from(error, {operation: 'deleteFiles', remotePath: remoteDirectory});
+    }
+  }
+
+  /**
+   * Check if a remote path is protected: the storage zone root, a protected path, a path inside one, or a parent directory of one.
+   * @param {string} remotePath - The remote path (without the storage zone).
+   * @returns {boolean}
+   * @private
+   */
+  _isProtectedPath(remotePath) {
+    const normalizedPath = this._getFilePath(remotePath).replace(/\/$/, '');
+    if (!normalizedPath) return true;
+    return this.protectedPaths.some((protectedPath) => {
+      return normalizedPath === protectedPath || normalizedPath.startsWith(protectedPath + '/') || protectedPath.startsWith(normalizedPath + '/');
+    });
+  }
+
+  /**
+   * Throw a ProtectedPathError if a remote path must not be deleted.
+   * @param {string} operation - The name of the operation, used in the error message.
+   * @param {string} remotePath - The remote path (without the storage zone).
+   * @private
+   */
+  _checkDeletable(operation, remotePath) {
+    if (!this._isProtectedPath(remotePath)) return;
+    const description = this._getFilePath(remotePath) ? `the protected path ${remotePath}` : 'the storage zone root';
+    this.logger.error(`${operation}: Refusing to delete ${description}`);
+    throw new ProtectedPathError(`${operation}: Refusing to delete ${description}`, {operation, remotePath});
+  }
+
+  /**
+   * Get the last change time of a remote file.
+   * @param {object} file - The file object as returned by listFiles.
+   * @returns {number} The time in milliseconds since the epoch.
+   * @private
+   */
+  _getLastChanged(file) {
+    // LastChanged is returned in UTC, but without a timezone designator
+    const lastChanged = /[zZ]|[+-]\d\d:?\d\d$/.test(file.LastChanged) ? file.LastChanged : file.LastChanged + 'Z';
+    return new Date(lastChanged).getTime();
+  }
+
+  /**
+   * Purge files from the cache of the pull zone, so the CDN serves the current version. Requires the pullZone option with an apiKey.
+   * @param {object} options The options object.
+   * @param {string[]} options.remotePaths - The remote paths (without the storage zone). A trailing '*' purges everything starting with the path, e.g. 'images/*'.
+   * @param {AbortSignal} [options.signal] - Cancels the purge when aborted, rejecting with an AbortError.
+   * @param {number} [options.timeout] - The timeout in milliseconds for each request. Defaults to the timeout of the instance.
+   * @returns {Promise<string[]>} The purged pull zone URLs.
+   */
+  async purgeCache({remotePaths = [], signal, timeout}) {
+    try {
+      this._checkPullZone('purgeCache', 'apiKey');
+
+      const urls = remotePaths.map((remotePath) => this._getPullZoneUrl(remotePath));
+      this.logger.info(`Purging ${urls.length} URLs from the pull zone cache`);
+
+      // The API purges a single URL per request, so the requests are limited by the concurrency
+      await Promise.all(urls.map(async (url) => {
+        await this._acquireSlot(signal, this.requestSema);
+        try {
+          await this.http.post(new URL('purge', this.pullZone.apiURL).href, null, {
+            ...this._getRequestOptions({signal, timeout}),
+            params: {url, async: false},
+            headers: {
+              'AccessKey': this.pullZone.apiKey
+            }
+          });
+        } finally {
+          this.requestSema.release();
+        }
+      }));
+
+      this.logger.info(`Purged ${urls.length} URLs from the pull zone cache`);
+      return urls;
+    } catch (error) {
+      this.logger.error(`purgeCache Error: ${error}, remotePaths: ${remotePaths.join(', ')}`);
+      throw BunnyStorageError.from(error, {operation: 'purgeCache', url: this.pullZone?.apiURL});
+    }
+  }
+
+  /**
+   * Create an expiring URL for a file of the pull zone, using the token authentication of bunny.net (SHA-256).
+   * Requires the pullZone option with a tokenAuthKey, and token authentication enabled for the pull zone.
+   * @param {string} remotePath - The remote path of the file (without the storage zone).
+   * @param {object} [options] The options object.
+   * @param {number|Date} [options.expires=3600] - The number of seconds the URL is valid, or the date when it expires.
+   * @param {string} [options.ipAddress] - Only allow requests from this IP address.
+   * @param {string} [options.pathAllowed] - Sign a path prefix instead of the file, e.g. '/videos/' to allow all files in the directory with the same token.
+   * @returns {string} The signed URL.
+   */
+  getSignedUrl(remotePath, {expires = 3600, ipAddress, pathAllowed} = {}) {
+    this._checkPullZone('getSignedUrl', 'tokenAuthKey');
+
+    const url = new URL(this._getPullZoneUrl(remotePath));
+    const expirationTime = expires instanceof Date ? Math.floor(expires.getTime() / 1000) : Math.floor(Date.now() / 1000) + expires;
+
+    // The signed parameters are sorted by name and part of the hashed value
+    const parameters = pathAllowed ? [['token_path', pathAllowed]] : [];
+    const signaturePath = pathAllowed || decodeURIComponent(url.pathname);
+    const parameterData = parameters.map(([key, value]) => `${key}=${value}`).join('&');
+
+    const hashableBase = this.pullZone.tokenAuthKey + signaturePath + expirationTime + (ipAddress || '') + parameterData;
+    const token = crypto.createHash('sha256').update(hashableBase).digest('base64url');
+
+    url.search = [
+      `token=${token}`,
+      ...parameters.map(([key, value]) => `${key}=${encodeURIComponent(value)}`),
+      `expires=${expirationTime}`
+    ].join('&');
+    return url.href;
+  }
+
+  /**
+   * Throw an InvalidArgumentError if the pull zone or one of its options is not configured.
+   * @param {string} operation - The name of the method requiring the pull zone.
+   * @param {string} option - The required option of the pull zone.
+   * @private
+   */
+  _checkPullZone(operation, option) {
+    if (!this.pullZone?.hostname || !this.pullZone[option]) {
+      this.logger.error(`${operation}: The pullZone option with a hostname and ${option} is required`);
+      throw new InvalidArgumentError(`${operation}: The pullZone option with a hostname and ${option} is required`, {operation});
+    }
+  }
+
+  /**
+   * Get the pull zone URL of a remote file.
+   * @param {string} remotePath - The remote path (without the storage zone).
+   * @returns {string} The URL, with the path segments URL-encoded.
+   * @private
+   */
+  _getPullZoneUrl(remotePath) {
+    const origin = /^https?:\/\//.test(this.pullZone.hostname) ? this.pullZone.hostname.replace(/\/+$/, '') : `https://${this.pullZone.hostname}`;
+    return `${origin}/` + this._getFilePath('/', remotePath).split('/').map(encodeURIComponent).join('/');
+  }
+
+  /**
+   * Get the paths a folder operation purges: one wildcard per changed directory instead of one URL per file, as the API purges a single URL per request.
+   * @param {TransferReport} report - The report of the folder operation.
+   * @param {string[]} remoteDirectories - The remote directories the operation changed.
+   * @returns {string[]} The wildcards, none if no file was transferred.
+   * @private
+   */
+  _getPurgeWildcards(report, remoteDirectories) {
+    return report.succeeded.length ? remoteDirectories.map((remoteDirectory) => this._getFilePath(remoteDirectory, '*')) : [];
+  }
+
+  /**
+   * Purge the files changed by a write operation, if purging is enabled. A failed purge does not fail the write operation,
+   * it is logged and emitted as 'purgeError' event instead.
+   * @param {string[]} remotePaths - The changed remote paths.
+   * @param {boolean} [purge] - The purge option of the operation, defaults to the autoPurge option of the pull zone.
+   * @param {object} [requestOptions] The signal and timeout of the requests.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _purgeAfterWrite(remotePaths, purge, requestOptions = {}) {
+    if (!(purge ?? this.pullZone?.autoPurge) || !remotePaths.length) return;
+    try {
+      await this.purgeCache({remotePaths, ...requestOptions});
+    } catch (error) {
+      if (error instanceof AbortError || error instanceof InvalidArgumentError) throw error;
+      this.emit('purgeError', error);
+    }
+  }
+
+  /**
+   * Copy a file inside the storage zone. The data is streamed from the source to the destination through the client, without touching the disk.
+   * @param {object} options The options object.
+   * @param {string} [options.sourceDirectory='/'] - The remote directory of the source file. Leave blank or use '/' for the root directory.
+   * @param {string} options.fileName - The name of the source file.
+   * @param {string} [options.destinationDirectory='/'] - The remote directory to copy the file to. Leave blank or use '/' for the root directory.
+   * @param {string} [options.destinationFileName=fileName] - The name of the copy.
+   * @param {boolean} [options.verify=false] - Send the checksum of the source file with the upload, so the storage rejects the copy if the received data does not match. A rejected copy throws an IntegrityError.
+   * @param {string} [options.checksum] - The checksum of the source file, e.g. the Checksum field returned by listFiles. If omitted and verify is true, it is looked up by listing the source directory.
+   *   If the listing has no checksum for the file, it is computed by reading the source an additional time.
+   * @param {function(ProgressEvent)} [options.onProgress] - Called with the copy progress. The progress is also emitted as 'progress' event.
+   * @param {AbortSignal} [options.signal] - Cancels the copy when aborted, rejecting with an AbortError.
+   * @param {number} [options.timeout] - The timeout in milliseconds for each request. Defaults to the timeout of the instance.
+   * @param {boolean} [options.purge] - Purge the copy from the pull zone cache afterwards. Defaults to the autoPurge option of the pull zone.
+   * @returns {Promise<string>} The remote path of the copy (without the storage zone).
+   */
+  async copyFile({
+                   sourceDirectory = '/',
+                   fileName,
+                   destinationDirectory = '/',
+                   destinationFileName = fileName,
+                   verify = false,
+                   checksum,
+                   onProgress,
+                   signal,
+                   timeout,
+                   purge
+                 }, _tracker) {
+    let sourcePath, sourceUrl, destinationPath, response;
+    try {
+      sourcePath = this._getFilePath(sourceDirectory, fileName);
+      sourceUrl = this._getFullStorageUrl(sourceDirectory, fileName);
+      destinationPath = this._getFilePath(destinationDirectory, destinationFileName);
+      this._throwIfAborted(signal);
+
+      if (!fileName) {
+        this.logger.error('copyFile: No file name provided');
+        throw new InvalidArgumentError('copyFile: No file name provided');
+      }
+      if (sourcePath === destinationPath) {
+        this.logger.error(`copyFile: The source and destination are the same file: ${destinationPath}`);
+        throw new InvalidArgumentError(`copyFile: The source and destination are the same file: ${destinationPath}`);
+      }
+
+      this.logger.info(`Copying ${sourcePath} to ${destinationPath}`);
+
+      if (verify && !checksum) checksum = await this._getRemoteChecksum(sourceDirectory, fileName, {signal, timeout});
+      // Without a checksum the copy could not be verified, so the source is read once more to compute it
+      if (verify && !checksum) checksum = await this._computeRemoteChecksum(sourceDirectory, fileName, {signal, timeout});
+
+      response = await this._getFileResponse(sourceDirectory, fileName, {signal, timeout});
+      const contentLength = Number(response.headers['content-length']);
+      let isFirstAttempt = true;
+
+      await this._putData({
+        url: this._getFullStorageUrl(destinationDirectory, destinationFileName),
+        // A retry needs the source data again, so the source file is requested again
+        createBody: async () => {
+          if (!isFirstAttempt) {
+            response.data.destroy();
+            response = await this._getFileResponse(sourceDirectory, fileName, {signal, timeout});
+          }
+          isFirstAttempt = false;
+          return response.data;
+        },
+        replayable: true,
+        contentLength: Number.isNaN(contentLength) ? undefined : contentLength,
+        checksum: checksum?.toUpperCase(),
+        file: {remotePath: destinationPath},
+        tracker: _tracker || this._createProgressTracker('copyFile', onProgress, {totalBytes: Number.isNaN(contentLength) ? undefined : contentLength}),
+        purge,
+        signal,
+        timeout
+      });
+
+      this.logger.info(`Copied ${sourcePath} to ${destinationPath}`);
+      return destinationPath;
+    } catch (error) {
+      this.logger.error(`copyFile Error: ${error}, sourceDirectory: ${sourceDirectory}, fileName: ${fileName}, destination: ${destinationPath}`);
+      throw BunnyStorageError.from(error, {operation: 'copyFile', remotePath: destinationPath || `${destinationDirectory}/${destinationFileName}`, url: sourceUrl});
+    } finally {
+      response?.data.destroy();
+    }
+  }
+
+  /**
+   * Move or rename a file inside the storage zone. The file is copied first and the source is deleted once the copy succeeded.
+   * @param {object} options The options object, see copyFile.
+   * @param {string} [options.sourceDirectory='/'] - The remote directory of the source file. Leave blank or use '/' for the root directory.
+   * @param {string} options.fileName - The name of the source file.
+   * @param {string} [options.destinationDirectory=sourceDirectory] - The remote directory to move the file to. Defaults to the source directory, to rename a file.
+   * @param {string} [options.destinationFileName=fileName] - The new name of the file.
+   * @param {boolean} [options.verify=false] - Verify the checksum of the copy before the source is deleted: the checksum of the source is sent with the copy, and the storage rejects a copy with other data. On a mismatch an IntegrityError is thrown and the source is kept.
+   * @param {string} [options.checksum] - The checksum of the source file. If omitted and verify is true, it is looked up by listing the source directory, or computed by reading the source if the listing has none.
+   * @param {function(ProgressEvent)} [options.onProgress] - Called with the progress of the copy. The progress is also emitted as 'progress' event.
+   * @param {AbortSignal} [options.signal] - Cancels the move when aborted, rejecting with an AbortError.
+   * @param {number} [options.timeout] - The timeout in milliseconds for each request. Defaults to the timeout of the instance.
+   * @param {boolean} [options.purge] - Purge the old and the new path from the pull zone cache afterwards. Defaults to the autoPurge option of the pull zone.
+   * @returns {Promise<string>} The new remote path of the file (without the storage zone).
+   */
+  async moveFile({
+                   sourceDirectory = '/',
+                   fileName,
+                   destinationDirectory = sourceDirectory,
+                   destinationFileName = fileName,
+                   verify = false,
+                   checksum,
+                   onProgress,
+                   signal,
+                   timeout,
+                   purge
+                 }, _tracker) {
+    let sourcePath, sourceUrl;
+    try {
+      sourcePath = this._getFilePath(sourceDirectory, fileName);
+      sourceUrl = this._getFullStorageUrl(sourceDirectory, fileName);
+      // With verify, the copy is uploaded with the source checksum and rejected by the storage on a mismatch, so the copy is not listed again
+      const destinationPath = await this.copyFile({
+        sourceDirectory, fileName, destinationDirectory, destinationFileName, verify, checksum, onProgress, signal, timeout, purge: false
+      }, _tracker);
+
+      this._throwIfAborted(signal);
+      await this.delete({remoteDirectory: sourceDirectory, fileName, signal, timeout, purge: false});
+      await this._purgeAfterWrite([sourcePath, destinationPath], purge, {signal, timeout});
+
+      this.logger.info(`Moved ${sourcePath} to ${destinationPath}`);
+      return destinationPath;
+    } catch (error) {
+      this.logger.error(`moveFile Error: ${error}, sourceDirectory: ${sourceDirectory}, fileName: ${fileName}, destinationDirectory: ${destinationDirectory}`);
+      throw BunnyStorageError.from(error, {
+        operation: 'moveFile',
+        remotePath: sourcePath || `${sourceDirectory}/${fileName}`,
+        url: sourceUrl
+      });
+    }
+  }
+
+  /**
+   * Upload many files to BunnyCDN storage.
+   * @param {object} options The options object.
+   * @param {string} [options.localDirectory ='./']- The local directory path. Defaults to the current directory.
+   * @param {string} [options.remoteDirectory='/']  - The remote directory path. Leave blank or use '/' to upload files to the root directory.
+   * @param {boolean} [options.recursive=false] - Include local subdirectories.
+   * @param {string[]} [options.excludedFileTypes=[]] - File types to exclude from the upload.
+   * @param {function} options.fileFilter - Can be used to exclude individual files. The function receives the filepath relative to localDirectory as a parameter. If the callback returns false, the file will not be uploaded.
+   * @param {string[]} [options.include=[]] - Gitignore-style patterns, only files matching them are uploaded. The patterns are matched against the path relative to localDirectory.
+   * @param {string[]} [options.exclude=[]] - Gitignore-style patterns of files and directories to exclude, e.g. ['*.tmp', 'node_modules/']. Excluded directories are not read.
+   * @param {string|false} [options.ignoreFile='.bunnyignore'] - The name of an ignore file in localDirectory, its patterns are added to the exclude patterns. The ignore file itself is not uploaded. Use false to disable.
+   * @param {boolean} [options.purge] - Purge the remoteDirectory with a wildcard from the pull zone cache once all uploads have finished. Defaults to the autoPurge option of the pull zone.
+   * @param {boolean} [options.verify=false] - Verify the checksum of each uploaded file. Files failing the verification are uploaded again, up to retryCount times.
+   * @param {boolean} [options.encrypt=false] - Encrypt each file with the current key of the encryption option, see uploadFile.
+   * @param {boolean} [options.continueOnError=false] - Keep uploading the remaining files if a file fails and resolve with a transfer report instead of rejecting.
+   * @param {function(ProgressEvent)} [options.onProgress] - Called with the progress of the whole upload. The progress is also emitted as 'progress' event.
+   * @param {AbortSignal} [options.signal] - Cancels the running uploads and skips the queued ones when aborted, rejecting with an AbortError.
+   * @param {number} [options.timeout] - The timeout in milliseconds for each request. Defaults to the timeout of the instance.
+   * @returns {Promise<string[]|TransferReport>} The local paths of the uploaded files, or a transfer report if continueOnError is true.
+   */
+  async uploadFolder({
+                       localDirectory = './',
+                       remoteDirectory = '/',
+                       recursive = false,
+                       excludedFileTypes = [],
+                       fileFilter,
+                       include = [],
+                       exclude = [],
+                       ignoreFile = '.bunnyignore',
+                       verify = false,
+                       encrypt = false,
+                       continueOnError = false,
+                       onProgress,
+                       signal,
+                       timeout,
+                       purge
+                     }) {
+    try {
+      const dirExists = await fse.pathExists(localDirectory);
+      if (!dirExists) {
+        this.logger.error(`uploadFolder failed: local directory does not exist: ${localDirectory}`);
+        throw new LocalFileError(`uploadFolder failed: local directory does not exist: ${localDirectory}`, {localPath: localDirectory});
+      }
+
+      if (encrypt) this._requireEncryption('uploadFolder');
+
+      this.logger.info(`Uploading files from ${localDirectory} to ${remoteDirectory}`);
+
+      const tasks = [];
+      const skipped = [];
+      let totalBytes = 0;
+      const tracker = this._createProgressTracker('uploadFolder', onProgress);
+      const pathFilter = await this._createPathFilter({include, exclude, ignoreFile, localDirectory});
+
+      for (const localFile of await this._listLocalFiles(localDirectory, recursive, pathFilter)) {
+        const relativeDirectory = path.posix.dirname(localFile.relativePath);
+        const targetDirectory = this._getFilePath(remoteDirectory, relativeDirectory === '.' ? '' : relativeDirectory) || '/';
+        const entry = {localPath: localFile.fullPath, remotePath: this._getFilePath(remoteDirectory, localFile.relativePath)};
+
+        // Filter out excluded file types
+        if (excludedFileTypes?.length && excludedFileTypes.includes(path.extname(localFile.relativePath))) {
+          skipped.push({...entry, reason: 'excludedFileTypes'});
+          continue;
+        }
+
+        // Filter out files using the include and exclude patterns
+        const patternReason = pathFilter.getExclusionReason(localFile.relativePath);
+        if (patternReason) {
+          skipped.push({...entry, reason: patternReason});
+          continue;
+        }
+
+        // Filter out files using the fileFilter function, skip if it returns false
+        if (fileFilter && !fileFilter(localFile.relativePath)) {
+          skipped.push({...entry, reason: 'fileFilter'});
+          continue;
+        }
+
+        totalBytes += encrypt ? getEncryptedSize(localFile.size, this.encryption.keyId) : localFile.size;
+        tasks.push({
+          entry,
+          run: () => this._retryOnIntegrityError(() => this.uploadFile({
+            localFilePath: localFile.fullPath,
+            remoteDirectory: targetDirectory,
+            verify,
+            encrypt,
+            signal,
+            timeout,
+            purge: false // purged together once all files are uploaded
+          }, tracker)).then(() => localFile.fullPath) // Resolve with the uploaded file's path
+        });
+      }
+
+      tracker.totalBytes = totalBytes;
+      tracker.totalFiles = tasks.length;
+
+      const report = await this._runTransfers(tasks, {
+        continueOnError,
+        skipped,
+        signal,
+        onFinish: (report, signal) => this._purgeAfterWrite(this._getPurgeWildcards(report, [remoteDirectory]), purge, {signal, timeout})
+      });
+      this.logger.info(`Uploaded ${report.succeeded.length} files from ${localDirectory} to ${remoteDirectory}, ${report.failed.length} failed`);
+      return continueOnError ? report : report.succeeded.map(({result}) => result);
+    } catch (error) {
+      this.logger.error(`uploadFolder Error: ${error}, localDirectory: ${localDirectory}, remoteDirectory: ${remoteDirectory}`);
+      throw BunnyStorageError.from(error, {operation: 'uploadFolder', remotePath: remoteDirectory, localPath: localDirectory});
+    }
+  }
+
+  /**
+   * Download a folder from BunnyCDN storage.
+   * @param {object} options The options object.
+   * @param {string} [options.remoteDirectory='/']  The remote directory path. Leave blank or use '/' to download files from the root directory.
+   * @param {string} [options.localDirectory='.'] The local directory path where the downloaded files should be saved. Defaults to the current directory.
+   * @param {boolean} [options.recursive=fales] Should the operation be performed recursively.
+   * @param {string[]} [options.excludedFileTypes=[]] Define file types that should not be downloaded, e.g. ['.pdf', '.jpg']
+   * @param {function} options.fileFilter Can be used to exclude individual files. The function receives the filepath relative to remoteDirectory as a parameter, like the relative local path passed by uploadFolder. If the callback returns false, the file will not be downloaded.
+   * @param {string[]} [options.include=[]] Gitignore-style patterns, only files matching them are downloaded. The patterns are matched against the path relative to remoteDirectory.
+   * @param {string[]} [options.exclude=[]] Gitignore-style patterns of files and directories to exclude, e.g. ['*.tmp', 'cache/'].
+   * @param {string|false} [options.ignoreFile='.bunnyignore'] The name of an ignore file in localDirectory, its patterns are added to the exclude patterns. Use false to disable.
+   * @param {boolean} [options.verify=false] Verify the checksum of each downloaded file. Files failing the verification are downloaded again, up to retryCount times.
+   * @param {boolean} [options.decrypt=false] Decrypt each file, see downloadFile. Files which can't be decrypted fail with a DecryptionError.
+   * @param {boolean} [options.continueOnError=false] Keep downloading the remaining files if a file fails and resolve with a transfer report instead of rejecting.
+   * @param {function(ProgressEvent)} [options.onProgress] Called with the progress of the whole download. The progress is also emitted as 'progress' event.
+   * @param {AbortSignal} [options.signal] Cancels the running downloads and skips the queued ones when aborted, rejecting with an AbortError. Partial files are removed.
+   * @param {number} [options.timeout] The timeout in milliseconds for each request. Defaults to the timeout of the instance.
+   * @returns {Promise<string[]|TransferReport>} The local paths of the downloaded files, or a transfer report if continueOnError is true. The report entries of downloaded files have the endpoint which served them.
+   */
+  async downloadFolder({
+                         remoteDirectory = '/',
+                         localDirectory = '.',
+                         recursive = false,
+                         excludedFileTypes = [],
+                         fileFilter,
+                         include = [],
+                         exclude = [],
+                         ignoreFile = '.bunnyignore',
+                         verify = false,
+                         decrypt = false,
+                         continueOnError = false,
+                         onProgress,
+                         signal,
+                         timeout
+                       }) {
+    try {
+      if (decrypt) this._requireEncryption('downloadFolder');
+
+      const files = await this.listFiles({remoteDirectory, recursive, signal, timeout});
+      const pathFilter = await this._createPathFilter({include, exclude, ignoreFile, localDirectory});
+
+      const tasks = [];
+      const skipped = [];
+      let totalBytes = 0;
+      const tracker = this._createProgressTracker('downloadFolder', onProgress);
+
+      for (const file of files) {
+
+        const remotePath = this.getRemotePathFromFileWithoutStorageZone(file);
+
+        // The local path is built from the names returned by the storage API, which must not lead outside the localDirectory
+        let remoteFilePath, localPath;
+        try {
+          remoteFilePath = this._getFilePath(remotePath, file.ObjectName);
+          localPath = this._getSafeLocalPath(localDirectory, recursive ? remoteFilePath : file.ObjectName);
+        } catch (error) {
+          tasks.push({entry: {remotePath: remoteFilePath || remotePath + file.ObjectName}, run: () => Promise.reject(error)});
+          continue;
+        }
+        const downloadDestination = path.dirname(localPath);
+
+        const entry = {localPath, remotePath: remoteFilePath};
+
+        const relativePath = this._getRelativeRemoteFilePath(file, remoteDirectory);
+        const exclusionReason = this._getExclusionReason(file, {
+          excludedFileTypes, fileFilter: fileFilter && (() => fileFilter(relativePath)), pathFilter, relativePath
+        });
+        if (exclusionReason) {
+          skipped.push({...entry, reason: exclusionReason});
+          continue;
+        }
+
+        totalBytes += file.Length || 0;
+        tasks.push({
+          entry,
+          run: () => this._retryOnIntegrityError(() => this.downloadFile({
+            remoteDirectory: remotePath,
+            fileName: file.ObjectName,
+            localDirectory: downloadDestination,
+            verify,
+            decrypt,
+            checksum: file.Checksum,
+            signal,
+            timeout
+          }, tracker, entry))
+        });
+      }
+
+      const totalFilesToDownload = tasks.length;
+      tracker.totalBytes = totalBytes;
+      tracker.totalFiles = totalFilesToDownload;
+
+      this.logger.info(`Downloading ${totalFilesToDownload} files from ${remoteDirectory} to ${localDirectory}`);
+
+      let downloadedCount = 0;
+
+      const report = await this._runTransfers(tasks, {
+        continueOnError,
+        skipped,
+        signal,
+        onSuccess: () => {
+          downloadedCount++;
+          this.logger.info(`Downloaded ${downloadedCount} of ${totalFilesToDownload} files`);
+        }
+      });
+
+      this.logger.info(`Downloaded ${downloadedCount} files from ${remoteDirectory} to ${localDirectory}, ${report.failed.length} failed`);
+      return continueOnError ? report : report.succeeded.map(({result}) => result);
+    } catch (error) {
+      this.logger.error(`downloadFolder Error: ${error}, remoteDirectory: ${remoteDirectory}, localDirectory: ${localDirectory}`);
+      throw BunnyStorageError.from(error, {operation: 'downloadFolder', remotePath: remoteDirectory, localPath: localDirectory});
+    }
+  }
+
+  /**
+   * Copy a folder inside the storage zone, keeping the folder structure. The files are streamed from the source to the destination through the client, without touching the disk.
+   * @param {object} options The options object.
+   * @param {string} options.sourceDirectory - The remote directory to copy.
+   * @param {string} options.destinationDirectory - The remote directory to copy the files to.
+   * @param {boolean} [options.recursive=false] - Include subdirectories.
+   * @param {string[]} [options.excludedFileTypes=[]] - File types to exclude from the copy, e.g. ['.pdf', '.jpg']
+   * @param {function} options.fileFilter - Can be used to exclude individual files. The function receives the remote filepath (without the storage zone) of the source file and its path relative to sourceDirectory as parameters. If the callback returns false, the file will not be copied.
+   * @param {boolean} [options.verify=false] - Verify the checksum of each copied file. Files failing the verification are copied again, up to retryCount times.
+   * @param {boolean} [options.continueOnError=false] - Keep copying the remaining files if a file fails and resolve with a transfer report instead of rejecting.
+   * @param {function(ProgressEvent)} [options.onProgress] - Called with the progress of the whole copy. The progress is also emitted as 'progress' event.
+   * @param {AbortSignal} [options.signal] - Cancels the running copies and skips the queued ones when aborted, rejecting with an AbortError.
+   * @param {number} [options.timeout] - The timeout in milliseconds for each request. Defaults to the timeout of the instance.
+   * @param {boolean} [options.purge] - Purge the destination directory with a wildcard from the pull zone cache once all files are copied. Defaults to the autoPurge option of the pull zone.
+   * @returns {Promise<string[]|TransferReport>} The remote paths of the copies, or a transfer report if continueOnError is true. The report entries have a sourcePath and a remotePath instead of a localPath.
+   */
+  async copyFolder({
+                     sourceDirectory,
+                     destinationDirectory,
+                     recursive = false,
+                     excludedFileTypes = [],
+                     fileFilter,
+                     verify = false,
+                     continueOnError = false,
+                     onProgress,
+                     signal,
+                     timeout,
+                     purge
+                   }) {
+    try {
+      const report = await this._transferRemoteFolder('copyFolder', {
+        sourceDirectory, destinationDirectory, recursive, excludedFileTypes, fileFilter, verify, continueOnError, onProgress, signal, timeout, purge
+      });
+      return continueOnError ? report : report.succeeded.map(({result}) => result);
+    } catch (error) {
+      this.logger.error(`copyFolder Error: ${error}, sourceDirectory: ${sourceDirectory}, destinationDirectory: ${destinationDirectory}`);
+      throw BunnyStorageError.from(error, {operation: 'copyFolder', remotePath: sourceDirectory});
+    }
+  }
+
+  /**
+   * Move a folder inside the storage zone, keeping the folder structure. Each source file is deleted once its copy succeeded.
+   * If recursive is true, the directories which held moved files and are empty afterwards are deleted as well, including the source directory itself.
+   * Files written to the source directory during the move are kept, together with their directories.
+   * @param {object} options The options object, see copyFolder.
+   * @param {string} options.sourceDirectory - The remote directory to move.
+   * @param {string} options.destinationDirectory - The remote directory to move the files to. It must not be inside the source directory.
+   * @param {boolean} [options.recursive=false] - Include subdirectories.
+   * @param {string[]} [options.excludedFileTypes=[]] - File types to exclude from the move, e.g. ['.pdf', '.jpg']
+   * @param {function} options.fileFilter - Can be used to exclude individual files. The function receives the remote filepath (without the storage zone) of the source file and its path relative to sourceDirectory as parameters. If the callback returns false, the file will not be moved.
+   * @param {boolean} [options.verify=false] - Verify the checksum of each copy before its source is deleted. Files failing the verification keep their source.
+   * @param {boolean} [options.continueOnError=false] - Keep moving the remaining files if a file fails and resolve with a transfer report instead of rejecting.
+   * @param {function(ProgressEvent)} [options.onProgress] - Called with the progress of the whole move. The progress is also emitted as 'progress' event.
+   * @param {AbortSignal} [options.signal] - Cancels the running moves and skips the queued ones when aborted, rejecting with an AbortError.
+   * @param {number} [options.timeout] - The timeout in milliseconds for each request. Defaults to the timeout of the instance.
+   * @param {boolean} [options.purge] - Purge the source and the destination directory with a wildcard from the pull zone cache once all files are moved. Defaults to the autoPurge option of the pull zone.
+   * @returns {Promise<string[]|TransferReport>} The new remote paths of the files, or a transfer report if continueOnError is true. The report entries have a sourcePath and a remotePath instead of a localPath.
+   */
+  async moveFolder({
+                     sourceDirectory,
+                     destinationDirectory,
+                     recursive = false,
+                     excludedFileTypes = [],
+                     fileFilter,
+                     verify = false,
+                     continueOnError = false,
+                     onProgress,
+                     signal,
+                     timeout,
+                     purge
+                   }) {
+    try {
+      const sourcePath = this._getFilePath(sourceDirectory).replace(/\/$/, '');
+      const destinationPath = this._getFilePath(destinationDirectory).replace(/\/$/, '');
+      // The destination would be listed as part of the source, and its directories could be deleted as empty source directories
+      if (!sourcePath || destinationPath === sourcePath || destinationPath.startsWith(sourcePath + '/')) {
+        this.logger.error(`moveFolder: The destination ${destinationDirectory} must not be inside the source ${sourceDirectory}`);
+        throw new InvalidArgumentError(`moveFolder: The destination ${destinationDirectory} must not be inside the source ${sourceDirectory}`);
+      }
+
+      const report = await this._transferRemoteFolder('moveFolder', {
+        sourceDirectory, destinationDirectory, recursive, excludedFileTypes, fileFilter, verify, continueOnError, onProgress, signal, timeout, purge
+      });
+
+      if (recursive && report.succeeded.length) {
+        await this._deleteEmptyDirectories(sourcePath, report.succeeded.map(({sourcePath}) => sourcePath), {signal, timeout});
+      }
+
+      return continueOnError ? report : report.succeeded.map(({result}) => result);
+    } catch (error) {
+      this.logger.error(`moveFolder Error: ${error}, sourceDirectory: ${sourceDirectory}, destinationDirectory: ${destinationDirectory}`);
+      throw BunnyStorageError.from(error, {operation: 'moveFolder', remotePath: sourceDirectory});
+    }
+  }
+
+  /**
+   * Delete the directories left empty by moved files. The directory is listed again first, so files written since the move started keep their directories.
+   * @param {string} rootPath - The moved directory (without the storage zone), the directories outside of it are kept.
+   * @param {string[]} movedPaths - The old remote paths of the moved files.
+   * @param {object} [requestOptions] The signal and timeout of the requests.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _deleteEmptyDirectories(rootPath, movedPaths, requestOptions = {}) {
+    const directories = new Set();
+    for (const movedPath of movedPaths) {
+      for (let directory = path.posix.dirname(movedPath); directory === rootPath || directory.startsWith(rootPath + '/'); directory = path.posix.dirname(directory)) {
+        directories.add(directory);
+      }
+    }
+
+    const remainingFiles = await this.listFiles({remoteDirectory: rootPath, recursive: true, ...requestOptions});
+    const remainingPaths = remainingFiles.map((file) => this._getFilePath(this.getRemotePathFromFileWithoutStorageZone(file), file.ObjectName));
+    const emptyDirectories = [...directories].filter((directory) => {
+      return !remainingPaths.some((remotePath) => remotePath.startsWith(directory + '/')) && !this._isProtectedPath(directory);
+    });
+
+    // Deleting a directory deletes its subdirectories, so only the outermost empty directories are deleted
+    for (const directory of emptyDirectories) {
+      if (emptyDirectories.some((other) => directory.startsWith(other + '/'))) continue;
+      try {
+        await this.delete({remoteDirectory: '/', fileName: directory, ...requestOptions, purge: false});
+      } catch (error) {
+        if (!(error instanceof NotFoundError)) throw error;
+      }
+    }
+  }
+
+  /**
+   * Copy or move the files of a remote folder to another remote folder.
+   * @param {'copyFolder'|'moveFolder'} operation - The operation, moveFolder deletes each source file after its copy.
+   * @param {object} options The options of copyFolder.
+   * @returns {Promise<TransferReport>} The transfer report.
+   * @private
+   */
+  async _transferRemoteFolder(operation, {
+    sourceDirectory, destinationDirectory, recursive, excludedFileTypes, fileFilter, verify, continueOnError, onProgress, signal, timeout, purge
+  }) {
+    if (this._getFilePath(sourceDirectory) === this._getFilePath(destinationDirectory)) {
+      this.logger.error(`${operation}: The source and destination are the same directory: ${sourceDirectory}`);
+      throw new InvalidArgumentError(`${operation}: The source and destination are the same directory: ${sourceDirectory}`);
+    }
+
+    const files = await this.listFiles({remoteDirectory: sourceDirectory, recursive, signal, timeout});
+
+    const tasks = [];
+    const skipped = [];
+    let totalBytes = 0;
+    const tracker = this._createProgressTracker(operation, onProgress);
+    const transfer = operation === 'moveFolder' ? this.moveFile.bind(this) : this.copyFile.bind(this);
+
+    for (const file of files) {
+      const sourceFileDirectory = this.getRemotePathFromFileWithoutStorageZone(file);
+      const relativePath = this._getRelativeRemoteFilePath(file, sourceDirectory);
+      const relativeDirectory = path.posix.dirname(relativePath);
+      const destinationFileDirectory = relativeDirectory === '.' ? destinationDirectory : this._getFilePath(destinationDirectory, relativeDirectory);
+      const destinationPath = this._getFilePath(destinationFileDirectory, file.ObjectName);
+      const entry = {sourcePath: this._getFilePath(sourceFileDirectory, file.ObjectName), remotePath: destinationPath};
+
+      const exclusionReason = this._getExclusionReason(file, {excludedFileTypes, fileFilter, relativePath});
+      if (exclusionReason) {
+        skipped.push({...entry, reason: exclusionReason});
+        continue;
+      }
+
+      totalBytes += file.Length || 0;
+      tasks.push({
+        entry,
+        run: () => this._retryOnIntegrityError(() => transfer({
+          sourceDirectory: sourceFileDirectory,
+          fileName: file.ObjectName,
+          destinationDirectory: destinationFileDirectory,
+          destinationFileName: file.ObjectName,
+          verify,
+          checksum: file.Checksum,
+          signal,
+          timeout,
+          purge: false // purged together once all files are transferred
+        }, tracker))
+      });
+    }
+
+    tracker.totalBytes = totalBytes;
+    tracker.totalFiles = tasks.length;
+
+    this.logger.info(`${operation}: Transferring ${tasks.length} files from ${sourceDirectory} to ${destinationDirectory}`);
+
+    const report = await this._runTransfers(tasks, {
+      continueOnError,
+      skipped,
+      signal,
+      onFinish: (report, signal) => this._purgeAfterWrite(this._getPurgeWildcards(report, operation === 'moveFolder' ? [sourceDirectory, destinationDirectory] : [destinationDirectory]), purge, {signal, timeout})
+    });
+
+    this.logger.info(`${operation}: Transferred ${report.succeeded.length} files from ${sourceDirectory} to ${destinationDirectory}, ${report.failed.length} failed`);
+    return report;
+  }
+
+  /**
+   * @typedef {object} TransferReport
+   * @property {{localPath: string, remotePath: string, result: *}[]} succeeded The transferred files.
+   * @property {{localPath: string, remotePath: string, error: Error}[]} failed The files which could not be transferred, with the error.
+   * @property {{localPath: string, remotePath: string, reason: string}[]} skipped The files which were excluded by a filter.
+   * @property {function({signal: AbortSignal}=): Promise<TransferReport>} retryFailed Transfer only the failed files again. Resolves with a new report.
+   */
+
+  /**
+   * Run transfer tasks in parallel, limited by the concurrency semaphore.
+   * If continueOnError is false, no further tasks are started after the first failure and the first error is thrown once the running tasks have settled.
+   * @param {{entry: object, run: function(): Promise<*>}[]} tasks - The tasks to run. The entry describes the transferred file in the report.
+   * @param {object} options The options object.
+   * @param {boolean} [options.continueOnError=false] - Run all tasks even if some of them fail.
+   * @param {object[]} [options.skipped=[]] - The entries of the files skipped by a filter, added to the report.
+   * @param {function(*)} [options.onSuccess] - Called with the result of each successful task.
+   * @param {function(TransferReport, AbortSignal): Promise<void>} [options.onFinish] - Called with the report once all tasks have settled, also if a task failed, e.g. to purge the transferred files.
+   * @param {AbortSignal} [options.signal] - Queued tasks are not started anymore once aborted, and an AbortError is thrown.
+   * @returns {Promise<TransferReport>} The transfer report.
+   * @private
+   */
+  async _runTransfers(tasks, {continueOnError = false, skipped = [], onSuccess, onFinish, signal} = {}) {
+    const report = {succeeded: [], failed: [], skipped};
+    const failedTasks = [];
+    let firstError;
+
+    await Promise.all(tasks.map(async (task) => {
+      try {
+        await this._acquireSlot(signal);
+      } catch {
+        return; // aborted while waiting for a slot
+      }
+      try {
+        if (firstError && !continueOnError) return;
+        const result = await task.run();
+        report.succeeded.push({...task.entry, result});
+        if (onSuccess) onSuccess(result);
+      } catch (error) {
+        firstError = firstError || error;
+        report.failed.push({...task.entry, error});
+        failedTasks.push(task);
+      } finally {
+        this.sema.release();
+      }
+    }));
+
+    this._throwIfAborted(signal);
+    if (onFinish) await onFinish(report, signal);
+    if (firstError && !continueOnError) throw firstError;
+
+    Object.defineProperty(report, 'retryFailed', {
+      value: ({signal} = {}) => this._runTransfers(failedTasks, {continueOnError, onSuccess, onFinish, signal})
+    });
+
+    return report;
+  }
+
+  /**
+   * Synchronize a local folder with a remote folder. Only new or changed files are transferred.
+   * Files are compared by size first, then by checksum (or by modification time if compareChecksum is false).
+   * @param {object} options The options object.
+   * @param {'up'|'down'} options.direction 'up' mirrors the local folder to the storage zone, 'down' mirrors the remote folder to the local folder.
+   * @param {string} [options.localDirectory='./'] The local directory path. Defaults to the current directory.
+   * @param {string} [options.remoteDirectory='/'] The remote directory path. Leave blank or use '/' to use the root directory.
+   * @param {boolean} [options.recursive=false] Include subdirectories.
+   * @param {string[]} [options.excludedFileTypes=[]] File types to exclude from the synchronization, e.g. ['.pdf', '.jpg']
+   * @param {function} options.fileFilter Can be used to exclude individual files. The function receives the filepath relative to the synchronized folder as a parameter. If the callback returns false, the file will be ignored on both sides.
+   * @param {string[]} [options.include=[]] Gitignore-style patterns, only files matching them are synchronized. The patterns are matched against the path relative to the synchronized folder.
+   * @param {string[]} [options.exclude=[]] Gitignore-style patterns of files and directories to ignore on both sides, e.g. ['*.tmp', 'cache/'].
+   * @param {string|false} [options.ignoreFile='.bunnyignore'] The name of an ignore file in localDirectory, its patterns are added to the exclude patterns. Use false to disable.
+   * @param {boolean} [options.deleteExtraneous=false] Delete files on the target which do not exist on the source. Protected remote files are kept and reported as protected.
+   * @param {boolean} [options.compareChecksum=true] Compare files with equal size by their SHA-256 checksum. If false, the modification time is used instead.
+   * @param {boolean} [options.dryRun=false] Only return the planned changes without transferring or deleting anything.
+   * @param {boolean} [options.verify=false] Verify the checksum of each transferred file. Files failing the verification are transferred again, up to retryCount times.
+   * @param {AbortSignal} [options.signal] Cancels the synchronization when aborted, rejecting with an AbortError.
+   * @param {number} [options.timeout] The timeout in milliseconds for each request. Defaults to the timeout of the instance.
+   * @param {boolean} [options.purge] When synchronizing up, purge the remoteDirectory with a wildcard from the pull zone cache afterwards, if a file changed. Defaults to the autoPurge option of the pull zone.
+   * @returns {Promise<{added: string[], updated: string[], deleted: string[], protected: string[], dryRun: boolean}>} The relative paths of the added, updated and deleted files,
+   *   and of the extraneous remote files which are kept because they are protected.
+   */
+  async syncFolder({
+                     direction,
+                     localDirectory = './',
+                     remoteDirectory = '/',
+                     recursive = false,
+                     excludedFileTypes = [],
+                     fileFilter,
+                     include = [],
+                     exclude = [],
+                     ignoreFile = '.bunnyignore',
+                     deleteExtraneous = false,
+                     compareChecksum = true,
+                     dryRun = false,
+                     verify = false,
+                     signal,
+                     timeout,
+                     purge
+                   }) {
+    try {
+      if (direction !== 'up' && direction !== 'down') {
+        this.logger.error(`syncFolder: Invalid direction ${direction}, must be 'up' or 'down'`);
+        throw new InvalidArgumentError(`syncFolder: Invalid direction ${direction}, must be 'up' or 'down'`);
+      }
+
+      this.logger.info(`Synchronizing ${localDirectory} ${direction === 'up' ? 'to' : 'from'} ${remoteDirectory}`);
+
+      const pathFilter = await this._createPathFilter({include, exclude, ignoreFile, localDirectory});
+      const isAllowed = (relativePath) => this._isLocalFileAllowed(relativePath, {excludedFileTypes, fileFilter, pathFilter});
+
+      const localFiles = new Map();
+      if (await fse.pathExists(localDirectory)) {
+        for (const localFile of await this._listLocalFiles(localDirectory, recursive, pathFilter)) {
+          if (isAllowed(localFile.relativePath)) localFiles.set(localFile.relativePath, localFile);
+        }
+      } else if (direction === 'up') {
+        this.logger.error(`syncFolder failed: local directory does not exist: ${localDirectory}`);
+        throw new LocalFileError(`syncFolder failed: local directory does not exist: ${localDirectory}`, {localPath: localDirectory});
+      }
+
+      const remoteFiles = new Map();
+      for (const file of await this.listFiles({remoteDirectory, recursive, signal, timeout})) {
+        const relativePath = this._getRelativeRemoteFilePath(file, remoteDirectory);
+        if (isAllowed(relativePath)) remoteFiles.set(relativePath, file);
+      }
+
+      const sourceFiles = direction === 'up' ? localFiles : remoteFiles;
+      const targetFiles = direction === 'up' ? remoteFiles : localFiles;
+
+      const plan = {added: [], updated: [], deleted: [], protected: [], dryRun};
+
+      for (const relativePath of sourceFiles.keys()) {
+        this._throwIfAborted(signal);
+        if (!targetFiles.has(relativePath)) {
+          plan.added.push(relativePath);
+        } else if (await this._isFileChanged(localFiles.get(relativePath), remoteFiles.get(relativePath), direction, compareChecksum)) {
+          plan.updated.push(relativePath);
+        }
+      }
+
+      if (deleteExtraneous) {
+        for (const relativePath of targetFiles.keys()) {
+          if (sourceFiles.has(relativePath)) continue;
+          // Like deleteFiles, protected remote files are reported instead of failing the sync after other changes were made
+          const file = direction === 'up' ? remoteFiles.get(relativePath) : null;
+          if (file && this._isProtectedPath(this._getFilePath(this.getRemotePathFromFileWithoutStorageZone(file), file.ObjectName))) {
+            plan.protected.push(relativePath);
+          } else {
+            plan.deleted.push(relativePath);
+          }
+        }
+      }
+
+      this.logger.info(`syncFolder plan: ${plan.added.length} to add, ${plan.updated.length} to update, ${plan.deleted.length} to delete, ${plan.protected.length} protected`);
+
+      if (dryRun) return plan;
+
+      const transfer = (relativePath) => {
+        if (direction === 'up') {
+          const relativeDirectory = path.posix.dirname(relativePath);
+          return this._retryOnIntegrityError(() => this.uploadFile({
+            localFilePath: localFiles.get(relativePath).fullPath,
+            remoteDirectory: this._getFilePath(remoteDirectory, relativeDirectory === '.' ? '' : relativeDirectory) || '/',
+            verify,
+            signal,
+            timeout,
+            purge: false
+          }));
+        }
+        const file = remoteFiles.get(relativePath);
+        return this._retryOnIntegrityError(() => this.downloadFile({
+          remoteDirectory: this.getRemotePathFromFileWithoutStorageZone(file),
+          fileName: file.ObjectName,
+          localDirectory: path.dirname(this._getSafeLocalPath(localDirectory, relativePath)),
+          verify,
+          checksum: file.Checksum,
+          signal,
+          timeout
+        }));
+      };
+
+      const remove = (relativePath) => {
+        if (direction === 'up') {
+          const file = remoteFiles.get(relativePath);
+          return this.delete({remoteDirectory: this.getRemotePathFromFileWithoutStorageZone(file), fileName: file.ObjectName, signal, timeout, purge: false});
+        }
+        return fse.remove(localFiles.get(relativePath).fullPath);
+      };
+
+      await this._runTransfers([
+        ...plan.added.map((relativePath) => ({entry: {relativePath}, run: () => transfer(relativePath)})),
+        ...plan.updated.map((relativePath) => ({entry: {relativePath}, run: () => transfer(relativePath)})),
+        ...plan.deleted.map((relativePath) => ({entry: {relativePath}, run: () => remove(relativePath)}))
+      ], {
+        signal,
+        onFinish: (report, signal) => direction === 'up' && this._purgeAfterWrite(this._getPurgeWildcards(report, [remoteDirectory]), purge, {signal, timeout})
+      });
+
+      this.logger.info(`Synchronized ${localDirectory} ${direction === 'up' ? 'to' : 'from'} ${remoteDirectory}`);
+      return plan;
+    } catch (error) {
+      this.logger.error(`syncFolder Error: ${error}, direction: ${direction}, localDirectory: ${localDirectory}, remoteDirectory: ${remoteDirectory}`);
+      throw BunnyStorageError.from(error, {operation: 'syncFolder', remotePath: remoteDirectory, localPath: localDirectory});
+    }
+  }
+
+  /**
+   * List all files in a local directory.
+   * @param {string} localDirectory - The local directory path.
+   * @param {boolean} recursive - Include local subdirectories.
+   * @param {PathFilter} [pathFilter] - Subdirectories excluded by its patterns are skipped.
+   * @param {string} [_relativeDirectory=''] Used internally to keep track of recursive calls.
+   * @returns {Promise<{relativePath: string, fullPath: string, size: number, mtime: Date}[]>} The files, their relative paths always use '/' as separator.
+   * @private
+   */
+  async _listLocalFiles(localDirectory, recursive, pathFilter, _relativeDirectory = '') {
+    const files = [];
+    for (const item of await fse.readdir(path.join(localDirectory, _relativeDirectory))) {
+      const relativePath = _relativeDirectory ? `${_relativeDirectory}/${item}` : item;
+      const fullPath = path.join(localDirectory, relativePath);
+      const itemStat = await fse.stat(fullPath);
+
+      if (itemStat.isDirectory()) {
+        if (recursive && !pathFilter?.isDirectoryExcluded(relativePath)) files.push(...await this._listLocalFiles(localDirectory, recursive, pathFilter, relativePath));
+      } else {
+        files.push({relativePath, fullPath, size: itemStat.size, mtime: itemStat.mtime});
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Create the filter for the include and exclude patterns of an operation, adding the patterns of the ignore file in the local directory.
+   * @param {object} options The options object.
+   * @param {string[]} [options.include=[]] - The include patterns.
+   * @param {string[]} [options.exclude=[]] - The exclude patterns.
+   * @param {string|false} [options.ignoreFile] - The name of the ignore file, false to not load one.
+   * @param {string} [options.localDirectory] - The local directory containing the ignore file.
+   * @returns {Promise<PathFilter>}
+   * @private
+   */
+  async _createPathFilter({include = [], exclude = [], ignoreFile, localDirectory}) {
+    const ignorePatterns = [];
+    if (ignoreFile && localDirectory) {
+      const ignoreFilePath = path.join(localDirectory, ignoreFile);
+      if (await fse.pathExists(ignoreFilePath)) {
+        this.logger.info(`Using the exclude patterns of ${ignoreFilePath}`);
+        // The ignore file itself is never transferred
+        ignorePatterns.push('/' + ignoreFile, ...(await fse.readFile(ignoreFilePath, 'utf8')).split(/\r?\n/));
+      }
+    }
+    return new PathFilter({include, exclude: [...ignorePatterns, ...exclude]});
+  }
+
+  /**
+   * Join a local directory and a remote relative path, making sure the result stays inside the local directory.
+   * @param {string} localDirectory - The local target directory.
+   * @param {string} relativePath - The remote path relative to the target directory, using '/' as separator.
+   * @returns {string} The local path.
+   * @throws {UnsafePathError} If the path would be outside the local directory, e.g. because it contains '..' segments.
+   * @private
+   */
+  _getSafeLocalPath(localDirectory, relativePath) {
+    const localPath = path.join(localDirectory, ...relativePath.split('/'));
+    const root = path.resolve(localDirectory);
+    const resolvedPath = path.resolve(localPath);
+    if (resolvedPath === root || !resolvedPath.startsWith(root.endsWith(path.sep) ? root : root + path.sep)) {
+      this.logger.error(`Unsafe local path: ${relativePath} is outside of ${localDirectory}`);
+      throw new UnsafePathError(`Unsafe local path: ${relativePath} is outside of ${localDirectory}`, {localPath: localDirectory, remotePath: relativePath});
+    }
+    return localPath;
+  }
+
+  /**
+   * Get the path of a remote file relative to a remote directory.
+   * @param {object} file - The file object as returned by listFiles.
+   * @param {string} remoteDirectory - The remote directory the path should be relative to.
+   * @returns {string} The relative file path, using '/' as separator.
+   * @private
+   */
+  _getRelativeRemoteFilePath(file, remoteDirectory) {
+    const filePath = this._getFilePath(this.getRemotePathFromFileWithoutStorageZone(file), file.ObjectName);
+    const basePath = this._getFilePath(remoteDirectory).replace(/\/$/, '');
+    if (basePath && filePath.startsWith(basePath + '/')) return filePath.slice(basePath.length + 1);
+    return filePath;
+  }
+
+  /**
+   * Get the axios request options for the signal and timeout of an operation.
+   * @param {object} options The options object.
+   * @param {AbortSignal} [options.signal] - The abort signal.
+   * @param {number} [options.timeout] - The timeout in milliseconds, defaults to the timeout of the instance.
+   * @returns {{signal: AbortSignal, timeout: number}}
+   * @private
+   */
+  _getRequestOptions({signal, timeout}) {
+    return {signal, timeout: timeout ?? this.timeout};
+  }
+
+  /**
+   * Throw an AbortError if the signal is aborted.
+   * @param {AbortSignal} [signal] - The abort signal.
+   * @private
+   */
+  _throwIfAborted(signal) {
+    if (signal?.aborted) throw new AbortError('The operation was aborted', {cause: signal.reason});
+  }
+
+  /**
+   * Acquire a slot of a concurrency semaphore. Waiting for the slot stops when the signal is aborted.
+   * @param {AbortSignal} [signal] - The abort signal.
+   * @param {Sema} [sema=this.sema] - The semaphore, this.sema for transfers or this.requestSema for listings and purges.
+   * @returns {Promise<void>} Resolves once the slot is acquired, rejects with an AbortError if the signal is aborted first.
+   * @private
+   */
+  async _acquireSlot(signal, sema = this.sema) {
+    this._throwIfAborted(signal);
+    if (!signal) return sema.acquire();
+
+    const acquired = sema.acquire();
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+      onAbort = () => reject(new AbortError('The operation was aborted', {cause: signal.reason}));
+      signal.addEventListener('abort', onAbort, {once: true});
+    });
+
+    try {
+      await Promise.race([acquired, aborted]);
+    } catch (error) {
+      // The slot is still acquired eventually and has to be given back
+      acquired.then(() => sema.release());
+      throw error;
+    } finally {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Create a progress tracker which reports to the onProgress callback and emits 'progress' events.
+   * @param {string} operation - The name of the operation.
+   * @param {function(ProgressEvent)} [onProgress] - The callback of the operation.
+   * @param {object} [options] Additional options for the tracker, e.g. totalBytes.
+   * @returns {ProgressTracker}
+   * @private
+   */
+  _createProgressTracker(operation, onProgress, options = {}) {
+    return new ProgressTracker({
+      operation,
+      ...options,
+      emit: (event) => {
+        if (onProgress) onProgress(event);
+        this.emit('progress', event);
+      }
+    });
+  }
+
+  /**
+   * Pipe a readable stream through a transform stream which reports the number of bytes passing through.
+   * @param {Readable} readable - The source stream.
+   * @param {function(number)} onBytes - Called with the size of each chunk.
+   * @returns {Transform} The transform stream to read from instead.
+   * @private
+   */
+  _countBytes(readable, onBytes) {
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        onBytes(chunk.length);
+        callback(null, chunk);
+      }
+    });
+    readable.on('error', (error) => counter.destroy(error));
+    return readable.pipe(counter);
+  }
+
+  /**
+   * Run a transfer and repeat it up to retryCount times if it fails with an IntegrityError.
+   * @param {function(): Promise<*>} transfer - The function performing the transfer.
+   * @returns {Promise<*>} The result of the transfer.
+   * @private
+   */
+  async _retryOnIntegrityError(transfer) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await transfer();
+      } catch (error) {
+        if (!(error instanceof IntegrityError) || attempt >= this.retryCount) throw error;
+        this.logger.info(`Retrying transfer after integrity error (${attempt + 1} of ${this.retryCount}): ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Get the encryption option, or throw if the instance has none.
+   * @param {string} operation - The name of the operation, used in the error message.
+   * @returns {{keyId: string, keys: Map<string, Buffer>}} The encryption option.
+   * @private
+   */
+  _requireEncryption(operation) {
+    if (!this.encryption) {
+      this.logger.error(`${operation}: The encryption option is required to encrypt or decrypt files`);
+      throw new InvalidArgumentError(`${operation}: The encryption option is required to encrypt or decrypt files`, {operation});
+    }
+    return this.encryption;
+  }
+
+  /**
+   * Encrypt a stream with the current key.
+   * @param {Readable} readable - The plaintext stream.
+   * @param {{keyId: string, keys: Map<string, Buffer>}} encryption - The encryption option.
+   * @param {Buffer} [iv] - The IV, random by default. Only pass the same IV again for the same data.
+   * @returns {Readable} The encrypted stream.
+   * @private
+   */
+  _encryptStream(readable, encryption, iv) {
+    const encrypting = createEncryptStream(encryption.keys.get(encryption.keyId), encryption.keyId, iv);
+    // Errors of the source are passed on to the returned stream by the pipeline
+    pipeline(readable, encrypting).catch(() => {});
+    return encrypting;
+  }
+
+  /**
+   * Compute the SHA-256 checksum of a local file, in the uppercase hex format used by the BunnyCDN API.
+   * @param {string} localFilePath - The local file path.
+   * @returns {Promise<string>} The checksum.
+   * @private
+   */
+  async _computeFileChecksum(localFilePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fse.createReadStream(localFilePath)) hash.update(chunk);
+    return hash.digest('hex').toUpperCase();
+  }
+
+  /**
+   * Watch a local folder and mirror its changes to the storage zone: changed and new files are uploaded, deleted files are deleted,
+   * and renamed files or directories are deleted at their old path and uploaded at the new one.
+   * Bursts of changes to a path (e.g. a build writing a file in chunks) are handled once, after the path had no changes for the debounce time.
+   * Operations on the same path run one after the other, operations on different paths in parallel, limited by the concurrency.
+   * The watcher emits an 'upload' event with {localPath, remotePath} for each uploaded file, a 'delete' event with {remotePath} for each deleted path,
+   * and an 'error' event with the error and the relative path if an operation failed (errors are logged if there is no 'error' listener).
+   * Existing files are only uploaded once they change, use syncFolder first to upload the current state.
+   * @param {object} options The options object.
+   * @param {string} [options.localDirectory='./'] - The local directory to watch.
+   * @param {string} [options.remoteDirectory='/'] - The remote directory to mirror the changes to.
+   * @param {boolean} [options.recursive=true] - Also watch the subdirectories.
+   * @param {string[]} [options.excludedFileTypes=[]] - File types to ignore, e.g. ['.map', '.tmp'].
+   * @param {function} [options.fileFilter] - Receives the filepath relative to localDirectory, the file is ignored if it returns false.
+   * @param {string[]} [options.include=[]] - Gitignore-style patterns, only matching files are uploaded.
+   * @param {string[]} [options.exclude=[]] - Gitignore-style patterns of files and directories to ignore.
+   * @param {string|false} [options.ignoreFile='.bunnyignore'] - The name of an ignore file in localDirectory, its patterns are added to the exclude patterns. It is read once when the watch starts. Use false to disable.
+   * @param {number} [options.debounce=200] - The number of milliseconds without further changes to a path before it is uploaded or deleted.
+   * @param {boolean} [options.verify=false] - Verify the checksum of each upload, see uploadFile.
+   * @param {boolean} [options.encrypt=false] - Encrypt each upload, see uploadFile.
+   * @param {AbortSignal} [options.signal] - Closes the watcher when aborted.
+   * @param {number} [options.timeout] - The timeout in milliseconds for each request. Defaults to the timeout of the instance.
+   * @param {boolean} [options.purge] - Purge each uploaded or deleted path from the pull zone cache. Defaults to the autoPurge option of the pull zone.
+   * @returns {Promise<FolderWatcher>} Resolves with the running watcher, call its close() method to stop watching.
+   */
+  async watchFolder({
+                      localDirectory = './',
+                      remoteDirectory = '/',
+                      recursive = true,
+                      excludedFileTypes = [],
+                      fileFilter,
+                      include = [],
+                      exclude = [],
+                      ignoreFile = '.bunnyignore',
+                      debounce = 200,
+                      verify = false,
+                      encrypt = false,
+                      signal,
+                      timeout,
+                      purge
+                    }) {
+    try {
+      this._throwIfAborted(signal);
+      if (encrypt) this._requireEncryption('watchFolder');
+
+      if (!(await fse.pathExists(localDirectory))) {
+        this.logger.error(`watchFolder failed: local directory does not exist: ${localDirectory}`);
+        throw new LocalFileError(`watchFolder failed: local directory does not exist: ${localDirectory}`, {localPath: localDirectory});
+      }
+
+      const pathFilter = await this._createPathFilter({include, exclude, ignoreFile, localDirectory});
+      const isAllowed = (relativePath) => this._isLocalFileAllowed(relativePath, {excludedFileTypes, fileFilter, pathFilter});
+      // The size and modification time of each uploaded file, so unchanged files are not uploaded again
+      const uploaded = new Map();
+      // The uploads and deletes hold a transfer slot, so a new directory with many files is uploaded with the configured concurrency.
+      // Their listings and purges use this.requestSema and never wait for a transfer slot.
+
+      const upload = async (relativePath, stat) => {
+        const version = `${stat.size}:${stat.mtime.getTime()}`;
+        if (uploaded.get(relativePath) === version) return [];
+        // Set before the upload, as a new directory is uploaded both by its own event and the events of its files
+        uploaded.set(relativePath, version);
+        const localPath = path.join(localDirectory, relativePath);
+        const relativeDirectory = path.posix.dirname(relativePath);
+        await this._acquireSlot(signal);
+        try {
+          await this._retryOnIntegrityError(() => this.uploadFile({
+            localFilePath: localPath,
+            remoteDirectory: this._getFilePath(remoteDirectory, relativeDirectory === '.' ? '' : relativeDirectory) || '/',
+            verify,
+            encrypt,
+            signal,
+            timeout,
+            purge
+          }));
+        } catch (error) {
+          uploaded.delete(relativePath);
+          throw error;
+        } finally {
+          this.sema.release();
+        }
+        this.logger.info(`watchFolder: Uploaded ${relativePath}`);
+        return [{action: 'upload', localPath, remotePath: this._getFilePath(remoteDirectory, relativePath)}];
+      };
+
+      const handle = async (relativePath) => {
+        const stat = await fse.stat(path.join(localDirectory, relativePath)).catch((error) => {
+          if (error.code === 'ENOENT') return null;
+          throw error;
+        });
+
+        if (!stat) {
+          // A removed path may have been a file or a directory, deleting it removes everything below it as well.
+          // Paths which can't have been uploaded are not deleted: a path the filters leave out as file is only deleted if it is a remote directory which isn't excluded.
+          const remotePath = this._getFilePath(remoteDirectory, relativePath);
+          if (!isAllowed(relativePath)) {
+            if (pathFilter.isDirectoryExcluded(relativePath) || !await this._isRemoteDirectory(remotePath, {signal, timeout})) return [];
+          }
+          for (const uploadedPath of uploaded.keys()) {
+            if (uploadedPath === relativePath || uploadedPath.startsWith(relativePath + '/')) uploaded.delete(uploadedPath);
+          }
+          await this._acquireSlot(signal);
+          try {
+            await this.delete({remoteDirectory, fileName: relativePath, signal, timeout, purge});
+          } catch (error) {
+            if (error instanceof NotFoundError) return [];
+            throw error;
+          } finally {
+            this.sema.release();
+          }
+          this.logger.info(`watchFolder: Deleted ${relativePath}`);
+          return [{action: 'delete', remotePath}];
+        }
+
+        if (stat.isDirectory()) {
+          // A directory was created or renamed, its files are uploaded
+          if (!recursive || pathFilter.isDirectoryExcluded(relativePath)) return [];
+          const files = await this._listLocalFiles(localDirectory, true, pathFilter, relativePath);
+          const results = await Promise.all(files.filter((file) => isAllowed(file.relativePath)).map((file) => upload(file.relativePath, file)));
+          return results.flat();
+        }
+
+        return isAllowed(relativePath) ? upload(relativePath, stat) : [];
+      };
+
+      const watcher = new FolderWatcher({localDirectory, recursive, debounce, handle, logger: this.logger}).start();
+      if (signal) {
+        // A signal may outlive the watcher, e.g. when it is shared by several watchers
+        const close = () => watcher.close();
+        signal.addEventListener('abort', close, {once: true});
+        watcher.once('close', () => signal.removeEventListener('abort', close));
+      }
+
+      this.logger.info(`Watching ${localDirectory} for changes to upload to ${remoteDirectory}`);
+      return watcher;
+    } catch (error) {
+      this.logger.error(`watchFolder Error: ${error}, localDirectory: ${localDirectory}, remoteDirectory: ${remoteDirectory}`);
+      throw BunnyStorageError.from(error, {operation: 'watchFolder', remotePath: remoteDirectory, localPath: localDirectory});
+    }
+  }
+
+  /**
+   * Check if a local file is included by the excludedFileTypes, include, exclude and fileFilter options of a folder operation.
+   * @param {string} relativePath - The path of the file relative to the local directory, using '/' as separator.
+   * @param {object} options The options object.
+   * @param {string[]} [options.excludedFileTypes] - File types that should not be included.
+   * @param {function} [options.fileFilter] - Receives the relative path, the file is excluded if it returns false.
+   * @param {PathFilter} options.pathFilter - The include and exclude patterns.
+   * @returns {boolean}
+   * @private
+   */
+  _isLocalFileAllowed(relativePath, {excludedFileTypes, fileFilter, pathFilter}) {
+    if (excludedFileTypes?.length && excludedFileTypes.includes(path.extname(relativePath))) return false;
+    if (pathFilter.getExclusionReason(relativePath)) return false;
+    return !(fileFilter && !fileFilter(relativePath));
+  }
+
+  /**
+   * Check if a local file and its remote counterpart differ.
+   * @param {object} localFile - The local file as returned by _listLocalFiles.
+   * @param {object} remoteFile - The remote file as returned by listFiles.
+   * @param {'up'|'down'} direction - The synchronization direction, used to decide which side is newer.
+   * @param {boolean} compareChecksum - Compare by checksum instead of modification time.
+   * @returns {Promise<boolean>} True if the file needs to be transferred.
+   * @private
+   */
+  async _isFileChanged(localFile, remoteFile, direction, compareChecksum) {
+    if (localFile.size !== remoteFile.Length) return true;
+
+    if (compareChecksum && remoteFile.Checksum) {
+      return await this._computeFileChecksum(localFile.fullPath) !== remoteFile.Checksum.toUpperCase();
+    }
+
+    const remoteTime = this._getLastChanged(remoteFile);
+    const localTime = localFile.mtime.getTime();
+    return direction === 'up' ? localTime > remoteTime : remoteTime > localTime;
+  }
 }
 
+export {
+  AbortError,
+  AuthenticationError,
+  BunnyStorageError,
+  DecryptionError,
+  IntegrityError,
+  InvalidArgumentError,
+  LocalFileError,
+  NotFoundError,
+  ProtectedPathError,
+  RateLimitError,
+  RequestError,
+  STORAGE_REGIONS,
+  TimeoutError,
+  UnsafePathError
+};
 export default BunnyCDNStorage;
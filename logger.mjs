@@ -0,0 +1,48 @@
+import {InvalidArgumentError} from './errors.mjs';
+
+/**
+ * The log levels in order of severity. A logger logs the messages of its level and all more severe levels.
+ */
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+/**
+ * The ANSI color codes of the log levels, used when writing to a terminal.
+ */
+const COLORS = {error: 31, warn: 33, info: 32, debug: 34};
+
+/**
+ * A logger which discards all messages.
+ * @type {{error: function(string), warn: function(string), info: function(string), debug: function(string)}}
+ */
+export const silentLogger = Object.freeze(Object.fromEntries(LOG_LEVELS.map((level) => [level, () => {}])));
+
+/**
+ * Create the logger of a BunnyCDNStorage instance.
+ * @param {object} options The options object.
+ * @param {object|false} [options.logger] A logger object, e.g. from pino, winston, bunyan or the console. Missing methods are replaced by no-ops. false disables logging.
+ * @param {string} [options.logLevel='error'] The level of the built-in console logger, used if no logger is given. Can be 'debug', 'info', 'warn', 'error' or 'silent'.
+ * @param {{write: function(string), isTTY?: boolean}} [options.stream=process.stdout] The stream the built-in logger writes to.
+ * @returns {{error: function(string), warn: function(string), info: function(string), debug: function(string)}} The logger.
+ */
+export function createLogger({logger, logLevel = 'error', stream = process.stdout} = {}) {
+  if (logger === false || (!logger && logLevel === 'silent')) return silentLogger;
+
+  if (logger) {
+    // Bind the methods, loggers like pino rely on their this context
+    return Object.fromEntries(LOG_LEVELS.map((level) => [
+      level, typeof logger[level] === 'function' ? logger[level].bind(logger) : silentLogger[level]
+    ]));
+  }
+
+  const maxLevel = LOG_LEVELS.indexOf(logLevel);
+  if (maxLevel === -1) throw new InvalidArgumentError(`Unknown log level: ${logLevel}, use one of ${LOG_LEVELS.join(', ')} or silent`);
+
+  // Colors are only used in a terminal, so redirected output stays plain
+  const colorize = (level, text) => stream.isTTY ? `\x1b[${COLORS[level]}m${text}\x1b[39m` : text;
+
+  return Object.fromEntries(LOG_LEVELS.map((level, index) => [
+    level, index > maxLevel ? silentLogger[level] : (message) => {
+      stream.write(`${colorize(level, '[' + level + ']')} ${colorize('debug', new Date().toISOString())}: ${message}\n`);
+    }
+  ]));
+}
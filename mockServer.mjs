@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+import http from 'http';
+
+/**
+ * A local stand-in for the BunnyCDN storage HTTP API, keeping all files in memory.
+ * It implements listing, uploading (including checksum verification), downloading (including range requests) and deleting,
+ * so BunnyCDNStorage can be used without network access by passing the baseURL returned by start().
+ */
+class MockStorageServer {
+  /**
+   * @param {object} options The options object.
+   * @param {string} options.storageZoneName The name of the simulated storage zone.
+   * @param {string} options.accessKey The access key the requests have to use.
+   * @param {string} [options.apiKey] The account API key the purge requests have to use, pass the URL returned by start() as pullZone.apiURL.
+   */
+  constructor({storageZoneName, accessKey, apiKey}) {
+    this.storageZoneName = storageZoneName;
+    this.accessKey = accessKey;
+    this.apiKey = apiKey;
+    /**
+     * The stored files, keyed by their path without the storage zone and without a leading slash, e.g. 'images/logo.png'.
+     * @type {Map<string, {data: Buffer, checksum: string, lastChanged: Date, dateCreated: Date, guid: string}>}
+     */
+    this.files = new Map();
+    /**
+     * All received requests, in order.
+     * @type {{method: string, path: string, headers: object}[]}
+     */
+    this.requests = [];
+    /**
+     * The URLs of all received purge requests, in order.
+     * @type {string[]}
+     */
+    this.purgedUrls = [];
+    /**
+     * Failures to simulate, see failNextRequest.
+     * @type {{status: number, headers: object, delay: number, method?: string, path?: string, times: number}[]}
+     * @private
+     */
+    this.failures = [];
+    this.server = http.createServer((req, res) => this._handleRequest(req, res));
+  }
+
+  /**
+   * Start listening on a local port.
+   * @param {number} [port=0] The port, 0 picks a random free port.
+   * @returns {Promise<string>} The base URL to pass to BunnyCDNStorage.
+   */
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        this.server.off('error', reject);
+        resolve(`http://127.0.0.1:${this.server.address().port}/`);
+      });
+    });
+  }
+
+  /**
+   * Stop listening and close all open connections.
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise((resolve, reject) => {
+      this.server.close((error) => error ? reject(error) : resolve());
+      this.server.closeAllConnections?.();
+    });
+  }
+
+  /**
+   * Store a file directly, without a request.
+   * @param {string} remotePath The path without the storage zone, e.g. 'images/logo.png'.
+   * @param {Buffer|string} data The file content.
+   * @param {Date} [lastChanged=new Date()] The last change date.
+   */
+  setFile(remotePath, data, lastChanged = new Date()) {
+    data = Buffer.from(data);
+    const existing = this.files.get(remotePath);
+    this.files.set(remotePath, {
+      data,
+      checksum: crypto.createHash('sha256').update(data).digest('hex').toUpperCase(),
+      lastChanged,
+      dateCreated: existing?.dateCreated || lastChanged,
+      guid: existing?.guid || crypto.randomUUID()
+    });
+  }
+
+  /**
+   * Let the next matching requests fail with an error response, e.g. to test retries.
+   * @param {object} options The options object.
+   * @param {number} [options.status=500] The HTTP status code to respond with. Use null to respond normally after the delay.
+   * @param {object} [options.headers={}] Additional response headers, e.g. {'Retry-After': '1'}.
+   * @param {number} [options.delay=0] The number of milliseconds to wait before responding, e.g. to test timeouts.
+   * @param {string} [options.method] Only fail requests with this HTTP method.
+   * @param {string} [options.path] Only fail requests to this path (without the storage zone, directories end with '/').
+   * @param {number} [options.times=1] The number of requests to fail.
+   */
+  failNextRequest({status = 500, headers = {}, delay = 0, method, path, times = 1} = {}) {
+    this.failures.push({status, headers, delay, method, path, times});
+  }
+
+  /**
+   * Handle a request to the simulated API.
+   * @param {http.IncomingMessage} req The request.
+   * @param {http.ServerResponse} res The response.
+   * @private
+   */
+  async _handleRequest(req, res) {
+    try {
+      const {pathname, searchParams} = new URL(req.url, 'http://localhost');
+      const segments = pathname.split('/').slice(1).map((segment) => decodeURIComponent(segment));
+      const [storageZoneName, ...pathSegments] = segments;
+      const isDirectory = pathname.endsWith('/');
+      const remotePath = pathSegments.filter(Boolean).join('/');
+
+      const requestPath = remotePath + (isDirectory && remotePath ? '/' : '');
+      this.requests.push({method: req.method, path: requestPath, headers: req.headers});
+
+      const failure = this.failures.find((failure) => (!failure.method || failure.method === req.method) && (failure.path === undefined || failure.path === requestPath));
+      if (failure) {
+        if (--failure.times <= 0) this.failures.splice(this.failures.indexOf(failure), 1);
+        if (failure.delay) await new Promise((resolve) => setTimeout(resolve, failure.delay));
+        if (failure.status) {
+          req.resume();
+          res.writeHead(failure.status, failure.headers);
+          return res.end(JSON.stringify({HttpCode: failure.status, Message: 'Simulated failure'}));
+        }
+      }
+
+      // The purge endpoint of the bunny.net API
+      if (req.method === 'POST' && pathname === '/purge') {
+        req.resume();
+        if (!this.apiKey || req.headers['accesskey'] !== this.apiKey) return this._sendJson(res, 401, {HttpCode: 401, Message: 'Unauthorized'});
+        this.purgedUrls.push(searchParams.get('url'));
+        return this._sendJson(res, 200, {});
+      }
+
+      if (req.headers['accesskey'] !== this.accessKey || storageZoneName !== this.storageZoneName) {
+        req.resume();
+        return this._sendJson(res, 401, {HttpCode: 401, Message: 'Unauthorized'});
+      }
+
+      if (req.method === 'GET') {
+        if (isDirectory) return this._sendJson(res, 200, this._listDirectory(remotePath));
+        return this._sendFile(req, res, remotePath);
+      }
+
+      if (req.method === 'PUT') {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        const data = Buffer.concat(chunks);
+
+        const checksum = req.headers['checksum'];
+        if (checksum && crypto.createHash('sha256').update(data).digest('hex').toUpperCase() !== checksum.toUpperCase()) {
+          return this._sendJson(res, 400, {HttpCode: 400, Message: 'Checksum mismatch'});
+        }
+
+        this.setFile(remotePath, data);
+        return this._sendJson(res, 201, {HttpCode: 201, Message: 'File uploaded.'});
+      }
+
+      if (req.method === 'DELETE') {
+        let deleted = this.files.delete(remotePath);
+        for (const filePath of [...this.files.keys()]) {
+          if (!remotePath || filePath.startsWith(remotePath + '/')) deleted = this.files.delete(filePath) || deleted;
+        }
+        if (!deleted) return this._sendJson(res, 404, {HttpCode: 404, Message: 'Object Not Found'});
+        return this._sendJson(res, 200, {HttpCode: 200, Message: 'File deleted successfuly.'});
+      }
+
+      this._sendJson(res, 405, {HttpCode: 405, Message: 'Method Not Allowed'});
+    } catch (error) {
+      this._sendJson(res, 500, {HttpCode: 500, Message: String(error)});
+    }
+  }
+
+  /**
+   * Build the listing of a directory, with the same fields the BunnyCDN API returns.
+   * @param {string} directory The directory path without the storage zone and without leading or trailing slashes.
+   * @returns {object[]} The file and folder objects.
+   * @private
+   */
+  _listDirectory(directory) {
+    const prefix = directory ? directory + '/' : '';
+    const entries = new Map();
+
+    for (const [filePath, file] of this.files) {
+      if (!filePath.startsWith(prefix)) continue;
+      const [name, ...rest] = filePath.slice(prefix.length).split('/');
+      if (rest.length) {
+        if (!entries.has(name)) entries.set(name, this._createListEntry(directory, name, null));
+      } else {
+        entries.set(name, this._createListEntry(directory, name, file));
+      }
+    }
+
+    return [...entries.values()].sort((a, b) => b.IsDirectory - a.IsDirectory || a.ObjectName.localeCompare(b.ObjectName));
+  }
+
+  /**
+   * Create a listing entry.
+   * @param {string} directory The parent directory path.
+   * @param {string} name The name of the file or folder.
+   * @param {object|null} file The stored file, or null for a folder.
+   * @returns {object} The entry.
+   * @private
+   */
+  _createListEntry(directory, name, file) {
+    const toBunnyDate = (date) => date.toISOString().replace('Z', '');
+    const now = new Date();
+    return {
+      Guid: file?.guid || crypto.randomUUID(),
+      StorageZoneName: this.storageZoneName,
+      Path: `/${this.storageZoneName}/${directory ? directory + '/' : ''}`,
+      ObjectName: name,
+      Length: file ? file.data.length : 0,
+      LastChanged: toBunnyDate(file?.lastChanged || now),
+      ServerId: 0,
+      ArrayNumber: 0,
+      IsDirectory: !file,
+      UserId: '00000000-0000-0000-0000-000000000000',
+      ContentType: '',
+      DateCreated: toBunnyDate(file?.dateCreated || now),
+      StorageZoneId: 0,
+      Checksum: file ? file.checksum : null,
+      ReplicatedZones: ''
+    };
+  }
+
+  /**
+   * Send the content of a file, supporting 'bytes=start-' and 'bytes=start-end' range requests.
+   * The ETag is the quoted checksum, an If-Range header which matches neither the ETag nor the Last-Modified header gets the complete file.
+   * @param {http.IncomingMessage} req The request.
+   * @param {http.ServerResponse} res The response.
+   * @param {string} remotePath The path of the file.
+   * @private
+   */
+  _sendFile(req, res, remotePath) {
+    const file = this.files.get(remotePath);
+    if (!file) return this._sendJson(res, 404, {HttpCode: 404, Message: 'Object Not Found'});
+
+    const size = file.data.length;
+    const validators = {'ETag': `"${file.checksum}"`, 'Last-Modified': file.lastChanged.toUTCString()};
+    const ifRange = req.headers['if-range'];
+    const range = ifRange && ifRange !== validators['ETag'] && ifRange !== validators['Last-Modified'] ? null : /^bytes=(\d+)-(\d*)$/.exec(req.headers['range'] || '');
+
+    if (!range) {
+      res.writeHead(200, {'Content-Type': 'application/octet-stream', 'Content-Length': size, 'Accept-Ranges': 'bytes', ...validators});
+      return res.end(file.data);
+    }
+
+    const start = Number(range[1]);
+    const end = range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+    if (start >= size || start > end) {
+      res.writeHead(416, {'Content-Range': `bytes */${size}`});
+      return res.end();
+    }
+
+    res.writeHead(206, {
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': end - start + 1,
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Accept-Ranges': 'bytes',
+      ...validators
+    });
+    res.end(file.data.subarray(start, end + 1));
+  }
+
+  /**
+   * Send a JSON response.
+   * @param {http.ServerResponse} res The response.
+   * @param {number} status The HTTP status code.
+   * @param {*} body The response body.
+   * @private
+   */
+  _sendJson(res, status, body) {
+    const json = JSON.stringify(body);
+    res.writeHead(status, {'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(json)});
+    res.end(json);
+  }
+}
+
+export default MockStorageServer;
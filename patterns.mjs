@@ -0,0 +1,148 @@
+/**
+ * A list of gitignore-style patterns, matched against paths relative to the root of an operation.
+ *
+ * - `*` matches anything except '/', `?` matches a single character except '/', `[a-z]` matches a character class.
+ * - `**` matches any number of directories, e.g. `**\/cache`, `logs/**` or `a/**\/b`.
+ * - A pattern containing a '/' (other than a trailing one) is anchored to the root, otherwise it matches at any depth.
+ * - A trailing '/' only matches directories, and with them everything inside.
+ * - A leading '!' negates the pattern, re-including paths matched by an earlier pattern. The last matching pattern wins.
+ * - Empty lines and lines starting with '#' are ignored, so the lines of an ignore file can be used directly.
+ */
+export class PathMatcher {
+  /**
+   * @param {string[]} [patterns=[]] The patterns.
+   */
+  constructor(patterns = []) {
+    this.rules = patterns.map((pattern) => PathMatcher._compile(pattern)).filter(Boolean);
+  }
+
+  /**
+   * Whether the matcher has no patterns.
+   * @returns {boolean}
+   */
+  get isEmpty() {
+    return this.rules.length === 0;
+  }
+
+  /**
+   * Check if a path matches. A path also matches if one of its parent directories matches,
+   * and as in git, a negation can not re-include a path whose parent directory matched.
+   * @param {string} relativePath The path relative to the root, using '/' as separator.
+   * @param {boolean} [isDirectory=false] Whether the path is a directory.
+   * @returns {boolean}
+   */
+  matches(relativePath, isDirectory = false) {
+    const segments = relativePath.split('/').filter(Boolean);
+    for (let i = 1; i < segments.length; i++) {
+      if (this._matchesPath(segments.slice(0, i).join('/'), true)) return true;
+    }
+    return this._matchesPath(segments.join('/'), isDirectory);
+  }
+
+  /**
+   * Check a single path against the patterns, without its parent directories.
+   * @param {string} relativePath The path relative to the root.
+   * @param {boolean} isDirectory Whether the path is a directory.
+   * @returns {boolean} The result of the last matching pattern, false if no pattern matched.
+   * @private
+   */
+  _matchesPath(relativePath, isDirectory) {
+    let matched = false;
+    for (const rule of this.rules) {
+      if (rule.negated !== matched) continue; // the rule can't change the result
+      if (rule.directoryOnly && !isDirectory) continue;
+      if (rule.regExp.test(relativePath)) matched = !rule.negated;
+    }
+    return matched;
+  }
+
+  /**
+   * Convert a pattern into a regular expression.
+   * @param {string} pattern The pattern.
+   * @returns {{regExp: RegExp, negated: boolean, directoryOnly: boolean}|null} The rule, or null for empty lines and comments.
+   * @private
+   */
+  static _compile(pattern) {
+    pattern = pattern.replace(/(?<!\\)\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) return null;
+
+    const negated = pattern.startsWith('!');
+    if (negated) pattern = pattern.slice(1);
+    if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) pattern = pattern.slice(1);
+
+    const directoryOnly = pattern.endsWith('/');
+    if (directoryOnly) pattern = pattern.slice(0, -1);
+
+    const anchored = pattern.includes('/');
+    if (pattern.startsWith('/')) pattern = pattern.slice(1);
+    if (!pattern) return null;
+
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === '*' && pattern[i + 1] === '*' && (i === 0 || pattern[i - 1] === '/') && (i + 2 === pattern.length || pattern[i + 2] === '/')) {
+        // '**/' matches zero or more directories, a trailing '**' everything inside
+        if (i + 2 === pattern.length) {
+          source += '.*';
+        } else {
+          source += '(?:.*/)?';
+          i++;
+        }
+        i++;
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+        const end = pattern.indexOf(']', i + 2);
+        let characterClass = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (characterClass.startsWith('!')) characterClass = '^' + characterClass.slice(1);
+        source += `[${characterClass}]`;
+        i = end;
+      } else if (char === '\\' && i + 1 < pattern.length) {
+        source += pattern[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      } else {
+        source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      }
+    }
+
+    return {regExp: new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`), negated, directoryOnly};
+  }
+}
+
+/**
+ * Decides which paths of an operation are included, based on include and exclude patterns.
+ * A path is excluded if it matches the exclude patterns, or if include patterns are given and it does not match them.
+ */
+export class PathFilter {
+  /**
+   * @param {object} [options] The options object.
+   * @param {string[]} [options.include=[]] Only paths matching these patterns are included. All paths are included if empty.
+   * @param {string[]} [options.exclude=[]] Paths matching these patterns are excluded, e.g. the lines of a .bunnyignore file.
+   */
+  constructor({include = [], exclude = []} = {}) {
+    this.include = new PathMatcher(include);
+    this.exclude = new PathMatcher(exclude);
+  }
+
+  /**
+   * Get the reason why a file is excluded.
+   * @param {string} relativePath The file path relative to the root, using '/' as separator.
+   * @returns {'exclude'|'include'|null} The name of the option excluding the file, or null if the file is included.
+   */
+  getExclusionReason(relativePath) {
+    if (this.exclude.matches(relativePath)) return 'exclude';
+    if (!this.include.isEmpty && !this.include.matches(relativePath)) return 'include';
+    return null;
+  }
+
+  /**
+   * Check if a whole directory is excluded, so it does not need to be listed.
+   * Include patterns are not considered, as a directory may contain matching files even if it does not match itself.
+   * @param {string} relativePath The directory path relative to the root, using '/' as separator.
+   * @returns {boolean}
+   */
+  isDirectoryExcluded(relativePath) {
+    return this.exclude.matches(relativePath, true);
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Keeps track of the progress of a transfer operation and reports it as progress events.
+ */
+export class ProgressTracker {
+  /**
+   * @param {object} options The options object.
+   * @param {string} options.operation The name of the operation, e.g. 'uploadFile' or 'downloadFolder'.
+   * @param {number} [options.totalBytes] The total number of bytes to transfer, if known.
+   * @param {number} [options.totalFiles=1] The total number of files to transfer.
+   * @param {function(ProgressEvent)} options.emit Called with each progress event.
+   * @param {number} [options.interval=100] The minimum number of milliseconds between two byte progress events.
+   */
+  constructor({operation, totalBytes, totalFiles = 1, emit, interval = 100}) {
+    this.operation = operation;
+    this.totalBytes = totalBytes;
+    this.totalFiles = totalFiles;
+    this.filesCompleted = 0;
+    this.emit = emit;
+    this.interval = interval;
+    this.startTime = Date.now();
+    this.lastEmitTime = 0;
+    this.files = new Map();
+    this.resumedBytes = 0;
+  }
+
+  /**
+   * The number of bytes transferred for all files.
+   * @returns {number}
+   */
+  get bytesTransferred() {
+    let bytes = 0;
+    for (const file of this.files.values()) bytes += file.bytesTransferred;
+    return bytes;
+  }
+
+  /**
+   * Register a file. Bytes which are already present (e.g. from a resumed download) do not count towards the throughput.
+   * @param {object} file The file.
+   * @param {string} [file.localPath] The local file path.
+   * @param {string} [file.remotePath] The remote file path.
+   * @param {number} [file.totalBytes] The size of the file, if known.
+   * @param {number} [file.bytesTransferred=0] The number of bytes already present.
+   */
+  startFile({localPath, remotePath, totalBytes, bytesTransferred = 0}) {
+    const key = localPath || remotePath;
+    const previous = this.files.get(key);
+    if (previous) this.resumedBytes -= previous.resumedBytes;
+    this.files.set(key, {localPath, remotePath, totalBytes, bytesTransferred, resumedBytes: bytesTransferred});
+    this.resumedBytes += bytesTransferred;
+    this._emit(key, true);
+  }
+
+  /**
+   * Add transferred bytes to a registered file.
+   * @param {string} key The local path of the file, or the remote path if it has no local path.
+   * @param {number} bytes The number of bytes.
+   */
+  addBytes(key, bytes) {
+    this.files.get(key).bytesTransferred += bytes;
+    this._emit(key, false);
+  }
+
+  /**
+   * Mark a registered file as completed.
+   * @param {string} key The local path of the file, or the remote path if it has no local path.
+   */
+  completeFile(key) {
+    this.filesCompleted++;
+    this._emit(key, true);
+  }
+
+  /**
+   * Emit a progress event, byte progress events are throttled.
+   * @param {string} key The key of the file the event is about.
+   * @param {boolean} force Emit the event regardless of the throttling interval.
+   * @private
+   */
+  _emit(key, force) {
+    const now = Date.now();
+    if (!force && now - this.lastEmitTime < this.interval) return;
+    this.lastEmitTime = now;
+
+    const {localPath, remotePath, totalBytes, bytesTransferred} = this.files.get(key);
+    const totalBytesTransferred = this.bytesTransferred;
+    const elapsedSeconds = (now - this.startTime) / 1000;
+    const bytesPerSecond = elapsedSeconds > 0 ? (totalBytesTransferred - this.resumedBytes) / elapsedSeconds : 0;
+    const eta = this.totalBytes !== undefined && bytesPerSecond > 0
+      ? Math.max(0, this.totalBytes - totalBytesTransferred) / bytesPerSecond
+      : null;
+
+    this.emit({
+      operation: this.operation,
+      file: {localPath, remotePath, bytesTransferred, totalBytes},
+      bytesTransferred: totalBytesTransferred,
+      totalBytes: this.totalBytes,
+      filesCompleted: this.filesCompleted,
+      totalFiles: this.totalFiles,
+      bytesPerSecond,
+      eta
+    });
+  }
+}
+
+/**
+ * @typedef {object} ProgressEvent
+ * @property {string} operation The operation, e.g. 'uploadFile', 'downloadFile', 'uploadFolder' or 'downloadFolder'.
+ * @property {{localPath: string, remotePath: string, bytesTransferred: number, totalBytes: number}} file The file the event is about.
+ * @property {number} bytesTransferred The number of bytes transferred by the operation.
+ * @property {number} [totalBytes] The total number of bytes of the operation, if known.
+ * @property {number} filesCompleted The number of completed files.
+ * @property {number} totalFiles The total number of files.
+ * @property {number} bytesPerSecond The average throughput since the start of the operation.
+ * @property {number|null} eta The estimated remaining time in seconds, or null if unknown.
+ */
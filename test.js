@@ -1,83 +1,971 @@
-import BunnyCDNStorage from './index.mjs';
+import assert from 'assert/strict';
+import axios from 'axios';
+import crypto from 'crypto';
+import {getEventListeners} from 'events';
+import fse from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import {Readable} from 'stream';
+import BunnyCDNStorage, {
+  AbortError,
+  AuthenticationError,
+  DecryptionError,
+  IntegrityError,
+  InvalidArgumentError,
+  LocalFileError,
+  NotFoundError,
+  ProtectedPathError,
+  RequestError,
+  TimeoutError,
+  UnsafePathError
+} from './index.mjs';
+import {EXIT_CODES, run as runCli} from './cli.mjs';
+import MockStorageServer from './mockServer.mjs';
+import {createLogger, silentLogger} from './logger.mjs';
+
+// All tests run against a local MockStorageServer, no access key or network is needed
+const storageZoneName = 'test-zone';
+const accessKey = 'test-access-key';
+const apiKey = 'test-api-key';
+
+const tests = [];
+
+function test(name, fn) {
+  tests.push({name, fn});
+}
+
+test('listFiles lists a directory', async ({bunny, server}) => {
+  server.setFile('a.txt', 'a');
+  server.setFile('folder/b.txt', 'bb');
+
+  const files = await bunny.listFiles({remoteDirectory: '/'});
+  assert.deepEqual(files.map((file) => file.ObjectName), ['a.txt']);
+  assert.equal(files[0].Length, 1);
+  assert.equal(files[0].Path, `/${storageZoneName}/`);
+
+  const withFolders = await bunny.listFiles({remoteDirectory: '/', includeFolders: true});
+  assert.deepEqual(withFolders.map((file) => file.ObjectName).sort(), ['a.txt', 'folder']);
+});
+
+test('listFiles lists recursively and applies the filters', async ({bunny, server}) => {
+  server.setFile('a.txt', 'a');
+  server.setFile('readme.md', 'readme');
+  server.setFile('folder/b.txt', 'b');
+  server.setFile('folder/sub/c.txt', 'c');
+  server.setFile('folder/sub/d.txt', 'd');
 
-async function main() {
-  const bunny = new BunnyCDNStorage({
-    accessKey: process.env.TEST_API_KEY,
-    storageZoneName: process.env.TEST_STORAGE_NAME,
-    concurrency: 2,
-    retryCount: 3,
-    logLevel: 'info'
-  });
-  // List files
-  console.log('Listing files...');
-  // list all files from root folder recursively
   const files = await bunny.listFiles({
-    remoteDirectory: '/', recursive: true
+    remoteDirectory: '/',
+    recursive: true,
+    excludedFileTypes: ['.md'],
+    fileFilter: (filepath) => filepath !== 'folder/sub/d.txt'
   });
+  const paths = files.map((file) => bunny.getRemotePathFromFileWithoutStorageZone(file) + file.ObjectName).sort();
+  assert.deepEqual(paths, ['/a.txt', 'folder/b.txt', 'folder/sub/c.txt']);
+});
+
+test('include and exclude patterns work the same in listFiles, uploadFolder and downloadFolder', async ({bunny, server, tmp}) => {
+  const localDirectory = path.join(tmp, 'site');
+  await fse.outputFile(path.join(localDirectory, 'index.html'), 'index');
+  await fse.outputFile(path.join(localDirectory, 'debug.log'), 'log');
+  await fse.outputFile(path.join(localDirectory, 'keep.log'), 'keep');
+  await fse.outputFile(path.join(localDirectory, 'cache', 'page.html'), 'cache');
+  await fse.outputFile(path.join(localDirectory, 'css', 'site.css'), 'css');
+  await fse.outputFile(path.join(localDirectory, '.bunnyignore'), '# comment\n*.log\n!keep.log\ncache/\n');
+
+  const report = await bunny.uploadFolder({localDirectory, remoteDirectory: 'site', recursive: true, continueOnError: true});
+  assert.deepEqual([...server.files.keys()].sort(), ['site/css/site.css', 'site/index.html', 'site/keep.log']);
+  assert.deepEqual(report.skipped.map(({remotePath, reason}) => [remotePath, reason]).sort(), [['site/.bunnyignore', 'exclude'], ['site/debug.log', 'exclude']]);
+
+  server.setFile('site/cache/page.html', 'cache');
+  server.requests.length = 0;
+  const files = await bunny.listFiles({remoteDirectory: 'site', recursive: true, exclude: ['cache/', '/*.log']});
+  assert.deepEqual(files.map((file) => file.ObjectName).sort(), ['index.html', 'site.css']);
+  assert.equal(server.requests.some((request) => request.path === 'site/cache/'), false);
+
+  const included = await bunny.listFiles({remoteDirectory: 'site', recursive: true, include: ['**/*.css', 'index.*']});
+  assert.deepEqual(included.map((file) => file.ObjectName).sort(), ['index.html', 'site.css']);
+
+  const downloadDirectory = path.join(tmp, 'download');
+  await fse.outputFile(path.join(downloadDirectory, '.bunnyignore'), 'cache/\n');
+  const downloadReport = await bunny.downloadFolder({remoteDirectory: 'site', localDirectory: downloadDirectory, recursive: true, include: ['*.html'], continueOnError: true});
+  assert.deepEqual(downloadReport.succeeded.map(({remotePath}) => remotePath), ['site/index.html']);
+  assert.deepEqual(downloadReport.skipped.map(({remotePath, reason}) => [remotePath, reason]).sort(), [
+    ['site/cache/page.html', 'exclude'], ['site/css/site.css', 'include'], ['site/keep.log', 'include']
+  ]);
+
+  // The fileFilter of the folder transfers receives the relative path, the one of the remote methods the remote and the relative path
+  const downloadFilterPaths = [];
+  await bunny.downloadFolder({remoteDirectory: 'site', localDirectory: path.join(tmp, 'filtered'), recursive: true, fileFilter: (filepath) => downloadFilterPaths.push(filepath) && false});
+  assert.deepEqual(downloadFilterPaths.sort(), ['cache/page.html', 'css/site.css', 'index.html', 'keep.log']);
+  const listFilterPaths = [];
+  await bunny.listFiles({remoteDirectory: 'site/css', fileFilter: (...paths) => listFilterPaths.push(paths)});
+  assert.deepEqual(listFilterPaths, [['site/css/site.css', 'site.css']]);
+});
+
+test('walkFiles respects maxDepth and stops listing on break', async ({bunny, server}) => {
+  for (let i = 0; i < 5; i++) server.setFile(`level1/level2/file${i}.txt`, 'x');
+  server.setFile('level1/file.txt', 'x');
+  server.setFile('root.txt', 'x');
+
+  const names = [];
+  for await (const file of bunny.walkFiles({remoteDirectory: '/', maxDepth: 1})) names.push(file.ObjectName);
+  assert.deepEqual(names.sort(), ['file.txt', 'root.txt']);
 
-  console.log('Total number of found files:', files.length);
+  server.requests.length = 0;
+  for await (const file of bunny.walkFiles({remoteDirectory: '/'})) {
+    if (file.ObjectName === 'root.txt') break;
+  }
+  assert.equal(server.requests.length <= 2, true);
 
-  // download the first file from the root folder, get the remote file path using the getCompleteRemotePathFromFile function
-  const remoteFileDirectory = bunny.getRemotePathFromFileWithoutStorageZone(files[0]);
-  const fileName = files[0].ObjectName;
+  // Listings don't wait for the transfer slots, a transfer holding the last slot can still list
+  for (let i = 0; i < bunny.concurrency; i++) await bunny.sema.acquire();
+  try {
+    assert.equal((await bunny.listFiles({remoteDirectory: '/', recursive: true})).length, 7);
+  } finally {
+    for (let i = 0; i < bunny.concurrency; i++) bunny.sema.release();
+  }
+});
+
+test('uploadFile and downloadFile round trip', async ({bunny, server, tmp}) => {
+  const localFilePath = path.join(tmp, 'upload', 'hello world.txt');
+  await fse.outputFile(localFilePath, 'Hello World');
 
-  console.log('First file:', fileName, '| in directory:', remoteFileDirectory)
+  await bunny.uploadFile({localFilePath, remoteDirectory: 'docs', verify: true});
+  assert.equal(server.files.get('docs/hello world.txt').data.toString(), 'Hello World');
 
-  // Download a file
-  console.log('Downloading file...');
   const downloadedFilePath = await bunny.downloadFile({
-    remoteDirectory: remoteFileDirectory, fileName: fileName, localDirectory: './testDownload/singleFileTestDownload'
+    remoteDirectory: 'docs', fileName: 'hello world.txt', localDirectory: path.join(tmp, 'download'), verify: true
   });
-  console.log('File downloaded to:', downloadedFilePath);
-
-  // Upload a file
-  console.log('Uploading file ' + fileName + ' ...');
-  // upload the file to /testRemoteSingleFileUpload folder
-  await bunny.uploadFile({
-    localFilePath: './testDownload/singleFileTestDownload/' + fileName,
-    remoteDirectory: 'testRemoteSingleFileUpload'
+  assert.equal(await fse.readFile(downloadedFilePath, 'utf8'), 'Hello World');
+  assert.equal(await fse.pathExists(downloadedFilePath + '.part'), false);
+});
+
+test('uploadBuffer, uploadStream, readFile and getFileStream work in memory', async ({bunny, server}) => {
+  await bunny.uploadBuffer({data: 'Hello Buffer', remoteDirectory: 'memory', fileName: 'buffer.txt', verify: true});
+  assert.equal(server.files.get('memory/buffer.txt').data.toString(), 'Hello Buffer');
+
+  await bunny.uploadStream({stream: Readable.from([Buffer.from('Hello '), Buffer.from('Stream')]), remoteDirectory: 'memory', fileName: 'stream.txt', contentLength: 12});
+  assert.equal(server.files.get('memory/stream.txt').data.toString(), 'Hello Stream');
+
+  const data = await bunny.readFile({remoteDirectory: 'memory', fileName: 'buffer.txt', verify: true});
+  assert.equal(Buffer.isBuffer(data), true);
+  assert.equal(data.toString(), 'Hello Buffer');
+
+  const chunks = [];
+  for await (const chunk of await bunny.getFileStream({remoteDirectory: 'memory', fileName: 'stream.txt'})) chunks.push(chunk);
+  assert.equal(Buffer.concat(chunks).toString(), 'Hello Stream');
+
+  await assert.rejects(bunny.readFile({remoteDirectory: 'memory', fileName: 'buffer.txt', verify: true, checksum: 'AAAA'}), IntegrityError);
+  await assert.rejects(bunny.getFileStream({remoteDirectory: 'memory', fileName: 'missing.txt'}), NotFoundError);
+});
+
+test('uploadBuffer retries failed uploads but uploadStream does not', async ({bunny, server}) => {
+  server.failNextRequest({method: 'PUT', status: 500});
+  await bunny.uploadBuffer({data: Buffer.from('retried'), fileName: 'buffer.txt'});
+  assert.equal(server.files.get('buffer.txt').data.toString(), 'retried');
+
+  server.failNextRequest({method: 'PUT', status: 500});
+  await assert.rejects(bunny.uploadStream({stream: Readable.from(['once']), fileName: 'stream.txt'}), RequestError);
+  assert.equal(server.files.has('stream.txt'), false);
+});
+
+test('remote names are URL-encoded', async ({bunny, server, tmp}) => {
+  const fileName = 'a #1?ü%20.txt';
+  await bunny.uploadBuffer({data: 'encoded', remoteDirectory: '/my dir//sub/', fileName});
+  assert.equal(server.files.get(`my dir/sub/${fileName}`).data.toString(), 'encoded');
+  assert.equal(server.requests[0].path, `my dir/sub/${fileName}`);
+
+  const [file] = await bunny.listFiles({remoteDirectory: 'my dir/sub'});
+  assert.equal(file.ObjectName, fileName);
+  assert.equal((await bunny.readFile({remoteDirectory: 'my dir/sub', fileName})).toString(), 'encoded');
+
+  // '.' and '..' would address another path than the one named, so they are rejected before any request
+  const requestCount = server.requests.length;
+  await assert.rejects(bunny.readFile({remoteDirectory: 'my dir/..', fileName}), UnsafePathError);
+  await assert.rejects(bunny.uploadBuffer({data: 'x', remoteDirectory: 'my dir', fileName: './x.txt'}), UnsafePathError);
+  // The errors name the operation like any other error, listFiles must not fail again while building the error
+  const unsafeCalls = {
+    listFiles: () => bunny.listFiles({remoteDirectory: 'my dir/..', recursive: true}),
+    walkFiles: async () => {
+      for await (const file of bunny.walkFiles({remoteDirectory: 'my dir/..'})) assert.fail(`Unexpected file ${file.ObjectName}`);
+    },
+    uploadFile: () => bunny.uploadFile({localFilePath: path.join(tmp, 'missing.txt'), remoteDirectory: '..'}),
+    downloadFile: () => bunny.downloadFile({remoteDirectory: 'my dir/..', fileName, localDirectory: tmp}),
+    getFileStream: () => bunny.getFileStream({remoteDirectory: 'my dir/..', fileName}),
+    copyFile: () => bunny.copyFile({sourceDirectory: 'my dir/sub', fileName, destinationDirectory: 'my dir/..'}),
+    moveFile: () => bunny.moveFile({sourceDirectory: 'my dir/sub/..', fileName})
+  };
+  for (const [operation, call] of Object.entries(unsafeCalls)) {
+    await assert.rejects(call(), (error) => error instanceof UnsafePathError && error.operation === operation);
+  }
+  assert.equal(server.requests.length, requestCount);
+});
+
+test('downloads outside of the local directory are rejected', async ({baseURL, server, tmp}) => {
+  const localDirectory = path.join(tmp, 'target');
+  server.setFile('safe.txt', 'safe');
+
+  const bunny = new BunnyCDNStorage({accessKey, storageZoneName, baseURL, logLevel: 'silent'});
+  await assert.rejects(bunny.downloadFile({fileName: '../escape.txt', localDirectory}), UnsafePathError);
+
+  // Simulate a listing with a malicious file name
+  const listFiles = bunny.listFiles.bind(bunny);
+  bunny.listFiles = async (options) => [
+    ...await listFiles(options),
+    {ObjectName: '../../escape.txt', Path: `/${storageZoneName}/`, IsDirectory: false, Length: 4, Checksum: null}
+  ];
+  const report = await bunny.downloadFolder({remoteDirectory: '/', localDirectory, recursive: true, continueOnError: true});
+  assert.deepEqual(report.succeeded.map(({remotePath}) => remotePath), ['safe.txt']);
+  assert.equal(report.failed[0].error instanceof UnsafePathError, true);
+  assert.equal(await fse.pathExists(path.join(tmp, 'escape.txt')), false);
+  assert.equal(await fse.pathExists(path.join(tmp, '..', 'escape.txt')), false);
+});
+
+test('uploadFile rejects missing files', async ({bunny, tmp}) => {
+  await assert.rejects(bunny.uploadFile({localFilePath: path.join(tmp, 'missing.txt')}), (error) => {
+    assert.equal(error instanceof LocalFileError, true);
+    assert.equal(error.operation, 'uploadFile');
+    assert.equal(error.localPath, path.join(tmp, 'missing.txt'));
+    return true;
   });
+});
+
+test('downloadFile throws an IntegrityError on a checksum mismatch', async ({bunny, server, tmp}) => {
+  server.setFile('file.txt', 'content');
+
+  await assert.rejects(
+    bunny.downloadFile({fileName: 'file.txt', localDirectory: tmp, verify: true, checksum: 'AAAA'}),
+    IntegrityError
+  );
+  assert.equal(await fse.pathExists(path.join(tmp, 'file.txt')), false);
+  assert.equal(await fse.pathExists(path.join(tmp, 'file.txt.part')), false);
+});
+
+test('downloadFile resumes a partial download of the same version only', async ({bunny, server, tmp}) => {
+  server.setFile('video.bin', 'abcdefghij');
+  const {checksum} = server.files.get('video.bin');
+  await fse.outputFile(path.join(tmp, 'video.bin.part'), 'abcd');
+  await fse.outputJson(path.join(tmp, 'video.bin.part.json'), {checksum});
 
-  // Delete a file
-  console.log('Deleting file...');
-  // delete the first file from the root folder
-  await bunny.delete({
-    remoteDirectory: remoteFileDirectory, fileName: fileName
+  const downloadedFilePath = await bunny.downloadFile({fileName: 'video.bin', localDirectory: tmp, verify: true});
+  assert.equal(await fse.readFile(downloadedFilePath, 'utf8'), 'abcdefghij');
+  assert.equal(server.requests.at(-1).headers['range'], 'bytes=4-');
+  assert.equal(await fse.pathExists(path.join(tmp, 'video.bin.part.json')), false);
+
+  // A partial file of an older version, or of an unknown version, is downloaded again
+  server.setFile('video.bin', 'ABCDEFGHIJKL');
+  const etag = `"${server.files.get('video.bin').checksum}"`;
+  for (const partVersion of [{checksum}, {etag: '"old"'}, null]) {
+    await fse.outputFile(path.join(tmp, 'video.bin.part'), 'abcd');
+    if (partVersion) await fse.outputJson(path.join(tmp, 'video.bin.part.json'), partVersion);
+    await bunny.downloadFile({fileName: 'video.bin', localDirectory: tmp});
+    assert.equal(await fse.readFile(downloadedFilePath, 'utf8'), 'ABCDEFGHIJKL');
+  }
+
+  // The ETag of the version is sent as If-Range header, so the storage sends the complete file if it has changed meanwhile
+  await fse.outputFile(path.join(tmp, 'video.bin.part'), 'ABCD');
+  await fse.outputJson(path.join(tmp, 'video.bin.part.json'), {etag});
+  await bunny.downloadFile({fileName: 'video.bin', localDirectory: tmp});
+  assert.equal(await fse.readFile(downloadedFilePath, 'utf8'), 'ABCDEFGHIJKL');
+  assert.deepEqual([server.requests.at(-1).headers['range'], server.requests.at(-1).headers['if-range']], ['bytes=4-', etag]);
+});
+
+test('downloadFile rejects with a NotFoundError for missing files', async ({bunny, tmp}) => {
+  await assert.rejects(bunny.downloadFile({remoteDirectory: 'folder', fileName: 'missing.txt', localDirectory: tmp}), (error) => {
+    assert.equal(error instanceof NotFoundError, true);
+    assert.equal(error.operation, 'downloadFile');
+    assert.equal(error.remotePath, 'folder/missing.txt');
+    assert.equal(error.status, 404);
+    assert.equal(error.url.endsWith(`/${storageZoneName}/folder/missing.txt`), true);
+    return true;
   });
+});
+
+test('requests with a wrong access key are rejected', async ({baseURL}) => {
+  const bunny = new BunnyCDNStorage({accessKey: 'wrong', storageZoneName, baseURL, logLevel: 'silent'});
+  await assert.rejects(bunny.listFiles({}), (error) => error instanceof AuthenticationError && error.operation === 'listFiles' && error.status === 401);
+});
+
+test('instances have their own HTTP client and retry policy', async ({baseURL}) => {
+  const interceptorsBefore = axios.interceptors.request.handlers.length;
+  const first = new BunnyCDNStorage({accessKey, storageZoneName, baseURL, retryCount: 0, logLevel: 'silent'});
+  const second = new BunnyCDNStorage({accessKey, storageZoneName, baseURL, retryCount: 5, logLevel: 'silent'});
+  assert.notEqual(first.http, second.http);
+  assert.equal(axios.interceptors.request.handlers.length, interceptorsBefore);
+  assert.equal(first.retryPolicy.retries, 0);
+  assert.equal(second.retryPolicy.retries, 5);
+});
+
+test('failed requests are retried and honor Retry-After', async ({baseURL, server}) => {
+  server.setFile('a.txt', 'a');
+  const bunny = new BunnyCDNStorage({accessKey, storageZoneName, baseURL, retry: {retries: 2, baseDelay: 1}, logLevel: 'silent'});
+
+  server.failNextRequest({status: 503, headers: {'Retry-After': '0'}, method: 'GET'});
+  server.failNextRequest({status: 500, method: 'GET'});
+  const files = await bunny.listFiles({});
+  assert.deepEqual(files.map((file) => file.ObjectName), ['a.txt']);
+  assert.equal(server.requests.length, 3);
+
+  assert.equal(bunny._getRetryDelay(1, {response: {status: 429, headers: {'retry-after': '7'}}}), 7000);
+  const noJitter = new BunnyCDNStorage({accessKey, storageZoneName, baseURL, retry: {jitter: false, maxDelay: 5000}, logLevel: 'silent'});
+  assert.deepEqual([1, 2, 3, 4].map((retry) => noJitter._getRetryDelay(retry)), [1000, 2000, 4000, 5000]);
+
+  server.failNextRequest({status: 400, method: 'GET', times: 3});
+  await assert.rejects(bunny.listFiles({}), RequestError);
+  assert.equal(server.failures.length, 1);
+});
+
+test('streamed uploads are retried with a new stream', async ({baseURL, server, tmp}) => {
+  const localFilePath = path.join(tmp, 'a.txt');
+  await fse.outputFile(localFilePath, 'complete content');
+  const bunny = new BunnyCDNStorage({accessKey, storageZoneName, baseURL, retry: {retries: 1, baseDelay: 1}, logLevel: 'silent'});
+
+  server.failNextRequest({status: 502, method: 'PUT'});
+  await bunny.uploadFile({localFilePath, verify: true});
+  assert.equal(server.files.get('a.txt').data.toString(), 'complete content');
+  assert.equal(server.requests.filter((request) => request.method === 'PUT').length, 2);
+});
+
+test('aborting downloadFolder cancels running and queued downloads', async ({baseURL, server, tmp}) => {
+  for (let i = 0; i < 4; i++) server.setFile(`folder/file${i}.txt`, 'content');
+  const bunny = new BunnyCDNStorage({accessKey, storageZoneName, baseURL, concurrency: 1, logLevel: 'silent'});
+  server.failNextRequest({status: null, delay: 300, method: 'GET', path: 'folder/file0.txt'});
+
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 50);
+  await assert.rejects(
+    bunny.downloadFolder({remoteDirectory: 'folder', localDirectory: tmp, signal: controller.signal}),
+    (error) => error instanceof AbortError && error.operation === 'downloadFolder'
+  );
+
+  assert.deepEqual(await fse.readdir(tmp), []);
+  assert.equal(server.requests.filter((request) => request.path.startsWith('folder/file')).length, 1);
+  await assert.rejects(bunny.listFiles({signal: controller.signal}), AbortError);
+});
+
+test('requests fail with a TimeoutError after the timeout', async ({baseURL, server}) => {
+  const bunny = new BunnyCDNStorage({accessKey, storageZoneName, baseURL, retryCount: 0, timeout: 5000, logLevel: 'silent'});
+  server.failNextRequest({status: null, delay: 300, method: 'GET'});
+  await assert.rejects(bunny.listFiles({timeout: 50}), TimeoutError);
+});
+
+test('delete removes a file or a folder', async ({bunny, server}) => {
+  server.setFile('a.txt', 'a');
+  server.setFile('folder/b.txt', 'b');
+  server.setFile('folder/sub/c.txt', 'c');
+
+  await bunny.delete({fileName: 'a.txt'});
+  await bunny.delete({fileName: 'folder'});
+  assert.equal(server.files.size, 0);
+
+  await assert.rejects(bunny.delete({remoteDirectory: '/'}), InvalidArgumentError);
+  await assert.rejects(bunny.delete({fileName: 'a.txt'}), NotFoundError);
+});
+
+test('copyFile and moveFile copy, rename and move files', async ({bunny, server}) => {
+  server.setFile('images/logo.png', 'logo');
+
+  assert.equal(await bunny.copyFile({sourceDirectory: 'images', fileName: 'logo.png', destinationDirectory: 'backup', verify: true}), 'backup/logo.png');
+  assert.equal(server.files.get('backup/logo.png').data.toString(), 'logo');
+  assert.equal(server.files.has('images/logo.png'), true);
+
+  assert.equal(await bunny.moveFile({sourceDirectory: 'images', fileName: 'logo.png', destinationFileName: 'brand.png', verify: true}), 'images/brand.png');
+  assert.deepEqual([...server.files.keys()].sort(), ['backup/logo.png', 'images/brand.png']);
+
+  await assert.rejects(bunny.moveFile({sourceDirectory: 'images', fileName: 'brand.png', destinationDirectory: 'other', verify: true, checksum: 'AAAA'}), IntegrityError);
+  assert.equal(server.files.has('images/brand.png'), true);
+  await assert.rejects(bunny.copyFile({sourceDirectory: 'images', fileName: 'missing.png', destinationDirectory: 'backup'}), NotFoundError);
+  await assert.rejects(bunny.copyFile({sourceDirectory: 'images', fileName: 'brand.png', destinationDirectory: '/images/'}), InvalidArgumentError);
+
+  // Without a checksum in the listing, it is computed from the source data, so the move is still verified
+  const {checksum} = server.files.get('images/brand.png');
+  server.files.get('images/brand.png').checksum = null;
+  assert.equal(await bunny.moveFile({sourceDirectory: 'images', fileName: 'brand.png', destinationDirectory: 'other', verify: true}), 'other/brand.png');
+  assert.equal(server.requests.findLast((request) => request.method === 'PUT' && request.path === 'other/brand.png').headers.checksum, checksum);
+});
+
+test('copyFolder and moveFolder keep the folder structure', async ({bunny, server}) => {
+  server.setFile('assets/a.txt', 'a');
+  server.setFile('assets/css/b.css', 'b');
+  server.setFile('assets/css/skip.map', 'skip');
+
+  const copied = await bunny.copyFolder({sourceDirectory: 'assets', destinationDirectory: 'copy', recursive: true, excludedFileTypes: ['.map'], verify: true});
+  assert.deepEqual(copied.sort(), ['copy/a.txt', 'copy/css/b.css']);
+
+  server.files.delete('assets/css/skip.map');
+  server.failNextRequest({method: 'GET', path: 'assets/a.txt', status: 404});
+  const report = await bunny.moveFolder({sourceDirectory: 'assets', destinationDirectory: 'static/assets', recursive: true, continueOnError: true});
+  assert.deepEqual(report.succeeded.map(({sourcePath, remotePath}) => [sourcePath, remotePath]), [['assets/css/b.css', 'static/assets/css/b.css']]);
+  assert.equal(report.failed[0].sourcePath, 'assets/a.txt');
+  assert.equal(server.files.has('assets/a.txt'), true);
+
+  await report.retryFailed();
+  await bunny.moveFolder({sourceDirectory: 'assets', destinationDirectory: 'static/assets', recursive: true});
+  assert.deepEqual([...server.files.keys()].sort(), ['copy/a.txt', 'copy/css/b.css', 'static/assets/a.txt', 'static/assets/css/b.css']);
+
+  await assert.rejects(bunny.moveFolder({sourceDirectory: 'static', destinationDirectory: 'static/nested'}), InvalidArgumentError);
+});
 
-  // Upload many files
-  console.log('Uploading folder...');
-  // upload all files from the ./testDownload folder to the remote /testRemoteFolderUpload folder, except .md files
-  await bunny.uploadFolder({
-    localDirectory: './testDownload',
-    remoteDirectory: 'testRemoteFolderUpload',
+test('moveFolder with verify moves more files than the concurrency', async ({bunny, server}) => {
+  for (let i = 0; i < 4; i++) server.setFile(`drafts/post${i}.md`, `post ${i}`);
+
+  const moved = await bunny.moveFolder({sourceDirectory: 'drafts', destinationDirectory: 'posts', verify: true});
+  assert.deepEqual(moved.sort(), ['posts/post0.md', 'posts/post1.md', 'posts/post2.md', 'posts/post3.md']);
+  assert.deepEqual([...server.files.keys()].sort(), moved.sort());
+  assert.equal(server.requests.filter((request) => request.method === 'PUT').every((request) => request.headers.checksum), true);
+});
+
+test('moveFolder keeps files written to the source during the move', async ({bunny, server}) => {
+  server.setFile('inbox/a.txt', 'a');
+  server.setFile('inbox/sub/b.txt', 'b');
+  server.setFile('inbox/done/c.txt', 'c');
+
+  // The filter runs after the listing, the new file is not part of the move
+  const fileFilter = (remotePath) => {
+    if (remotePath === 'inbox/a.txt') server.setFile('inbox/sub/late.txt', 'late');
+    return true;
+  };
+  await bunny.moveFolder({sourceDirectory: 'inbox', destinationDirectory: 'archive', recursive: true, fileFilter});
+  assert.deepEqual([...server.files.keys()].sort(), ['archive/a.txt', 'archive/done/c.txt', 'archive/sub/b.txt', 'inbox/sub/late.txt']);
+  assert.deepEqual(server.requests.filter((request) => request.method === 'DELETE').map((request) => request.path).sort(), [
+    'inbox/a.txt', 'inbox/done', 'inbox/done/c.txt', 'inbox/sub/b.txt'
+  ]);
+});
+
+test('uploadFolder uploads recursively and reports skipped files', async ({bunny, server, tmp}) => {
+  await fse.outputFile(path.join(tmp, 'a.txt'), 'a');
+  await fse.outputFile(path.join(tmp, 'notes.md'), 'notes');
+  await fse.outputFile(path.join(tmp, 'sub', 'b.txt'), 'b');
+
+  const uploadedFiles = await bunny.uploadFolder({localDirectory: tmp, remoteDirectory: 'site', recursive: true, excludedFileTypes: ['.md']});
+  assert.equal(uploadedFiles.length, 2);
+  assert.deepEqual([...server.files.keys()].sort(), ['site/a.txt', 'site/sub/b.txt']);
+
+  const report = await bunny.uploadFolder({
+    localDirectory: tmp,
     recursive: true,
-    excludedFileTypes: ['.md'],
-    fileFilter: (filepath) => {
-      // filter out first file from being uploaded
-      return !filepath.includes(fileName)
-    }
+    continueOnError: true,
+    fileFilter: (filepath) => filepath !== 'a.txt'
   });
+  assert.deepEqual(report.succeeded.map((entry) => entry.remotePath).sort(), ['notes.md', 'sub/b.txt']);
+  assert.deepEqual(report.skipped.map((entry) => [entry.remotePath, entry.reason]), [['a.txt', 'fileFilter']]);
+  assert.equal(report.failed.length, 0);
+});
 
-  // Download many files
-  console.log('Downloading complete root folder recursively, excluding testRemoteFolderUpload folder...');
-  // download all files from the remote folder including subdirectories to the ./testDownload/downloadFolderTest folder, except .md files
-  const downloadedFilesPaths = await bunny.downloadFolder({
-    remoteDirectory: '/',
-    localDirectory: './testDownload/downloadFolderTest',
-    recursive: true,
-    excludedFileTypes: ['.md'],
-    fileFilter: (filepath) => {
-      // filter out the uploaded file from being downloaded
-      return !filepath.includes('testRemoteFolderUpload')
-    }
+test('downloadFolder continues on errors and retries failed files', async ({bunny, server, tmp}) => {
+  server.setFile('folder/a.txt', 'a');
+  server.setFile('folder/sub/b.txt', 'b');
+
+  const flaky = new BunnyCDNStorage({accessKey, storageZoneName, baseURL: bunny.baseURL, logLevel: 'silent'});
+  const originalDownloadFile = flaky.downloadFile.bind(flaky);
+  let failing = true;
+  flaky.downloadFile = (options, tracker) => {
+    if (failing && options.fileName === 'b.txt') return Promise.reject(new Error('Simulated failure'));
+    return originalDownloadFile(options, tracker);
+  };
+
+  const report = await flaky.downloadFolder({remoteDirectory: 'folder', localDirectory: tmp, recursive: true, continueOnError: true});
+  assert.deepEqual(report.succeeded.map((entry) => entry.remotePath), ['folder/a.txt']);
+  assert.deepEqual(report.failed.map((entry) => entry.error.message), ['Simulated failure']);
+
+  failing = false;
+  const retryReport = await report.retryFailed();
+  assert.deepEqual(retryReport.succeeded.map((entry) => entry.remotePath), ['folder/sub/b.txt']);
+  assert.equal(await fse.readFile(path.join(tmp, 'folder', 'sub', 'b.txt'), 'utf8'), 'b');
+});
+
+test('uploadFolder and downloadFolder emit progress events', async ({bunny, tmp}) => {
+  await fse.outputFile(path.join(tmp, 'upload', 'a.txt'), 'aaaa');
+  await fse.outputFile(path.join(tmp, 'upload', 'b.txt'), 'bb');
+
+  const events = [];
+  const listener = (event) => events.push(event);
+  bunny.on('progress', listener);
+  try {
+    await bunny.uploadFolder({localDirectory: path.join(tmp, 'upload'), remoteDirectory: 'progress'});
+    await bunny.downloadFolder({remoteDirectory: 'progress', localDirectory: path.join(tmp, 'download')});
+  } finally {
+    bunny.off('progress', listener);
+  }
+
+  for (const operation of ['uploadFolder', 'downloadFolder']) {
+    const last = events.filter((event) => event.operation === operation).at(-1);
+    assert.equal(last.filesCompleted, 2);
+    assert.equal(last.totalFiles, 2);
+    assert.equal(last.bytesTransferred, 6);
+    assert.equal(last.totalBytes, 6);
+  }
+});
+
+test('syncFolder only transfers changed files and deletes extraneous ones', async ({bunny, server, tmp}) => {
+  await fse.outputFile(path.join(tmp, 'same.txt'), 'same');
+  await fse.outputFile(path.join(tmp, 'changed.txt'), 'new content');
+  await fse.outputFile(path.join(tmp, 'sub', 'added.txt'), 'added');
+  server.setFile('site/same.txt', 'same');
+  server.setFile('site/changed.txt', 'old content');
+  server.setFile('site/extra.txt', 'extra');
+
+  const options = {direction: 'up', localDirectory: tmp, remoteDirectory: 'site', recursive: true, deleteExtraneous: true};
+
+  const plan = await bunny.syncFolder({...options, dryRun: true});
+  assert.deepEqual(plan, {added: ['sub/added.txt'], updated: ['changed.txt'], deleted: ['extra.txt'], protected: [], dryRun: true});
+  assert.equal(server.files.has('site/extra.txt'), true);
+
+  await bunny.syncFolder(options);
+  assert.deepEqual([...server.files.keys()].sort(), ['site/changed.txt', 'site/same.txt', 'site/sub/added.txt']);
+  assert.equal(server.files.get('site/changed.txt').data.toString(), 'new content');
+
+  const downloadDirectory = path.join(tmp, 'download');
+  await fse.outputFile(path.join(downloadDirectory, 'stale.txt'), 'stale');
+  const downPlan = await bunny.syncFolder({direction: 'down', localDirectory: downloadDirectory, remoteDirectory: 'site', recursive: true, deleteExtraneous: true});
+  assert.deepEqual(downPlan.added.sort(), ['changed.txt', 'same.txt', 'sub/added.txt']);
+  assert.deepEqual(downPlan.deleted, ['stale.txt']);
+  assert.equal(await fse.readFile(path.join(downloadDirectory, 'sub', 'added.txt'), 'utf8'), 'added');
+  assert.equal(await fse.pathExists(path.join(downloadDirectory, 'stale.txt')), false);
+});
+
+test('syncFolder keeps protected remote files', async ({baseURL, server, tmp}) => {
+  const bunny = new BunnyCDNStorage({accessKey, storageZoneName, baseURL, protectedPaths: ['site/keep'], logLevel: 'silent'});
+  await fse.outputFile(path.join(tmp, 'index.html'), 'index');
+  server.setFile('site/old.html', 'old');
+  server.setFile('site/keep/config.json', 'config');
+
+  const options = {direction: 'up', localDirectory: tmp, remoteDirectory: 'site', recursive: true, deleteExtraneous: true};
+  const plan = await bunny.syncFolder({...options, dryRun: true});
+  assert.deepEqual(plan, {added: ['index.html'], updated: [], deleted: ['old.html'], protected: ['keep/config.json'], dryRun: true});
+
+  assert.deepEqual(await bunny.syncFolder(options), {...plan, dryRun: false});
+  assert.deepEqual([...server.files.keys()].sort(), ['site/index.html', 'site/keep/config.json']);
+});
+
+test('write operations purge the pull zone cache', async ({baseURL, server, tmp}) => {
+  const bunny = new BunnyCDNStorage({
+    accessKey, storageZoneName, baseURL, logLevel: 'silent',
+    pullZone: {hostname: 'cdn.example.com', apiKey, apiURL: baseURL, autoPurge: true}
+  });
+
+  await bunny.uploadBuffer({data: 'a', remoteDirectory: 'docs', fileName: 'a b.txt'});
+  assert.deepEqual(server.purgedUrls, ['https://cdn.example.com/docs/a%20b.txt']);
+
+  await fse.outputFile(path.join(tmp, 'one.txt'), '1');
+  await fse.outputFile(path.join(tmp, 'two.txt'), '2');
+  server.purgedUrls.length = 0;
+  await bunny.uploadFolder({localDirectory: tmp, remoteDirectory: 'site'});
+  assert.deepEqual(server.purgedUrls, ['https://cdn.example.com/site/*']);
+
+  server.purgedUrls.length = 0;
+  await bunny.moveFolder({sourceDirectory: 'site', destinationDirectory: 'www/site'});
+  assert.deepEqual(server.purgedUrls.sort(), ['https://cdn.example.com/site/*', 'https://cdn.example.com/www/site/*']);
+
+  // Only directories are purged with a wildcard
+  server.purgedUrls.length = 0;
+  await bunny.delete({remoteDirectory: 'www/site', fileName: 'one.txt'});
+  await bunny.delete({remoteDirectory: 'www/site', fileName: 'two.txt', purge: false});
+  await bunny.uploadBuffer({data: 'a', remoteDirectory: 'old/assets', fileName: 'a.css', purge: false});
+  await bunny.delete({fileName: 'old'});
+  assert.deepEqual(server.purgedUrls, ['https://cdn.example.com/www/site/one.txt', 'https://cdn.example.com/old/*']);
+
+  // A failed purge does not fail the upload
+  const purgeErrors = [];
+  bunny.on('purgeError', (error) => purgeErrors.push(error));
+  server.failNextRequest({method: 'POST', status: 500});
+  await bunny.uploadBuffer({data: 'b', fileName: 'b.txt'});
+  assert.equal(server.files.has('b.txt'), true);
+  assert.equal(purgeErrors[0].operation, 'purgeCache');
+
+  const withoutPullZone = new BunnyCDNStorage({accessKey, storageZoneName, baseURL, logLevel: 'silent'});
+  await assert.rejects(withoutPullZone.purgeCache({remotePaths: ['b.txt']}), InvalidArgumentError);
+  await withoutPullZone.uploadBuffer({data: 'c', fileName: 'c.txt'});
+  assert.equal(purgeErrors.length, 1);
+});
+
+test('getSignedUrl creates token authentication URLs', async ({baseURL}) => {
+  const bunny = new BunnyCDNStorage({
+    accessKey, storageZoneName, baseURL, logLevel: 'silent',
+    pullZone: {hostname: 'cdn.example.com', tokenAuthKey: 'secret'}
   });
+  const expires = new Date('2030-01-01T00:00:00Z');
+  const expirationTime = expires.getTime() / 1000;
+  const sign = (value) => crypto.createHash('sha256').update(value).digest('base64url');
+
+  assert.equal(
+    bunny.getSignedUrl('videos/intro 1.mp4', {expires}),
+    `https://cdn.example.com/videos/intro%201.mp4?token=${sign(`secret/videos/intro 1.mp4${expirationTime}`)}&expires=${expirationTime}`
+  );
+  assert.equal(
+    bunny.getSignedUrl('videos/intro.mp4', {expires, ipAddress: '1.2.3.4', pathAllowed: '/videos/'}),
+    `https://cdn.example.com/videos/intro.mp4?token=${sign(`secret/videos/${expirationTime}1.2.3.4token_path=/videos/`)}&token_path=%2Fvideos%2F&expires=${expirationTime}`
+  );
+
+  const relative = new URL(bunny.getSignedUrl('file.txt', {expires: 60}));
+  assert.equal(Math.abs(Number(relative.searchParams.get('expires')) - (Date.now() / 1000 + 60)) < 5, true);
+  assert.throws(() => new BunnyCDNStorage({accessKey, storageZoneName, logLevel: 'silent'}).getSignedUrl('file.txt'), InvalidArgumentError);
+});
+
+test('the command-line tool runs commands and reports errors with exit codes', async ({baseURL, server, tmp}) => {
+  const cli = async (...args) => {
+    const output = {stdout: '', stderr: ''};
+    const code = await runCli(args, {
+      env: {BUNNY_ACCESS_KEY: accessKey, BUNNY_STORAGE_ZONE: storageZoneName, BUNNY_BASE_URL: baseURL},
+      stdout: {write: (text) => output.stdout += text},
+      stderr: {write: (text) => output.stderr += text},
+      cwd: tmp
+    });
+    return {code, ...output};
+  };
+
+  await fse.outputFile(path.join(tmp, 'site', 'index.html'), 'index');
+  await fse.outputFile(path.join(tmp, 'site', 'css', 'site.css'), 'css');
+
+  assert.equal((await cli('upload-dir', path.join(tmp, 'site'), 'site', '-R')).code, EXIT_CODES.success);
+  assert.deepEqual([...server.files.keys()].sort(), ['site/css/site.css', 'site/index.html']);
+
+  const listing = await cli('ls', 'site', '-R', '--json');
+  assert.deepEqual(JSON.parse(listing.stdout).map((file) => file.ObjectName).sort(), ['css', 'index.html', 'site.css']);
+  assert.match((await cli('ls', 'site')).stdout, /site\/index\.html/);
+
+  assert.equal((await cli('get', 'site/index.html', path.join(tmp, 'download'))).code, EXIT_CODES.success);
+  assert.equal(await fse.readFile(path.join(tmp, 'download', 'index.html'), 'utf8'), 'index');
+
+  assert.equal((await cli('rm', 'site/index.html')).code, EXIT_CODES.success);
+  assert.equal((await cli('get', 'site/index.html')).code, EXIT_CODES.notFound);
+  assert.equal((await cli('ls', '--access-key', 'wrong')).code, EXIT_CODES.authentication);
+  assert.equal((await cli('unknown')).code, EXIT_CODES.usage);
+  for (const concurrency of ['0', '-2', '1.5', 'many']) assert.equal((await cli('ls', `--concurrency=${concurrency}`)).code, EXIT_CODES.usage);
+  assert.equal((await cli('ls', '--timeout=-1')).code, EXIT_CODES.usage);
+  // The values of the config file are validated as well, the message names where the value came from
+  await fse.writeJson(path.join(tmp, 'bad-config.json'), {timeout: -5});
+  const badConfig = await cli('ls', '--config', 'bad-config.json');
+  assert.equal(badConfig.code, EXIT_CODES.usage);
+  assert.match(badConfig.stderr, /timeout in the config file must be a number of at least 0, got -5/);
+  assert.match((await cli('ls', '--concurrency=2.5')).stderr, /--concurrency must be an integer of at least 1, got 2\.5/);
+
+  server.failNextRequest({method: 'GET', path: 'site/css/site.css', status: 404});
+  const partial = await cli('download-dir', 'site', path.join(tmp, 'partial'), '-R', '--json');
+  assert.equal(partial.code, EXIT_CODES.partialFailure);
+  assert.equal(JSON.parse(partial.stdout).failed[0].error.name, 'NotFoundError');
+});
+
+test('the region option selects the storage endpoint', async () => {
+  const create = (options) => new BunnyCDNStorage({accessKey, storageZoneName, logLevel: 'silent', ...options});
+  assert.equal(create({}).baseURL, 'https://storage.bunnycdn.com/');
+  assert.equal(create({region: 'NY'}).baseURL, 'https://ny.storage.bunnycdn.com/');
+  assert.equal(create({region: 'ny', baseURL: 'http://localhost:8080'}).baseURL, 'http://localhost:8080/');
+  assert.deepEqual(create({replicaRegions: ['la', 'https://storage.example.com']}).replicaURLs, ['https://la.storage.bunnycdn.com/', 'https://storage.example.com/']);
+  assert.throws(() => create({region: 'mars'}), InvalidArgumentError);
+});
+
+test('reads fail over to the replicas on server errors and timeouts', async ({baseURL, server, tmp}) => {
+  const replica = new MockStorageServer({storageZoneName, accessKey});
+  const replicaURL = await replica.start();
+  try {
+    const bunny = new BunnyCDNStorage({accessKey, storageZoneName, baseURL, replicaRegions: [replicaURL], retryCount: 0, timeout: 200, logLevel: 'silent'});
+    server.setFile('docs/a.txt', 'primary');
+    replica.setFile('docs/a.txt', 'replica');
+    replica.setFile('docs/b.txt', 'replica b');
+
+    assert.deepEqual((await bunny.listFiles({remoteDirectory: 'docs'})).map((file) => file.endpoint), [baseURL]);
+
+    server.failNextRequest({method: 'GET', path: 'docs/', status: 503});
+    const files = await bunny.listFiles({remoteDirectory: 'docs'});
+    assert.deepEqual(files.map((file) => [file.ObjectName, file.endpoint]), [['a.txt', replicaURL], ['b.txt', replicaURL]]);
+
+    server.failNextRequest({method: 'GET', path: 'docs/a.txt', status: null, delay: 500});
+    const localPath = await bunny.downloadFile({remoteDirectory: 'docs', fileName: 'a.txt', localDirectory: tmp});
+    assert.equal(await fse.readFile(localPath, 'utf8'), 'replica');
+
+    // Only the primary is missing b.txt, a 404 is not a reason to fail over
+    await assert.rejects(bunny.readFile({remoteDirectory: 'docs', fileName: 'b.txt'}), NotFoundError);
+
+    server.failNextRequest({method: 'GET', status: 500, times: 3});
+    const report = await bunny.downloadFolder({remoteDirectory: 'docs', localDirectory: path.join(tmp, 'folder'), continueOnError: true});
+    assert.deepEqual(report.succeeded.map(({remotePath, endpoint}) => [remotePath, endpoint]).sort(), [['docs/a.txt', replicaURL], ['docs/b.txt', replicaURL]]);
+    assert.equal(replica.requests.some((request) => request.method !== 'GET'), false);
+  } finally {
+    await replica.stop();
+  }
+});
+
+test('a custom logger receives the messages, and logging can be disabled', async ({baseURL}) => {
+  const messages = [];
+  const logger = {info: (message) => messages.push(['info', message]), error: (message) => messages.push(['error', message])};
+  const bunny = new BunnyCDNStorage({accessKey, storageZoneName, baseURL, retryCount: 0, logger});
+  await assert.rejects(bunny.readFile({fileName: 'missing.txt'}), NotFoundError);
+  assert.ok(messages.some(([level, message]) => level === 'info' && message.includes('Reading missing.txt')));
+  assert.ok(messages.some(([level, message]) => level === 'error' && message.includes('readFile Error')));
+
+  assert.equal(new BunnyCDNStorage({accessKey, storageZoneName, logger: false, logLevel: 'info'}).logger, silentLogger);
+  assert.equal(new BunnyCDNStorage({accessKey, storageZoneName, logLevel: 'silent'}).logger, silentLogger);
+  assert.throws(() => new BunnyCDNStorage({accessKey, storageZoneName, logLevel: 'verbose'}), InvalidArgumentError);
+
+  const lines = [];
+  const consoleLogger = createLogger({logLevel: 'warn', stream: {write: (line) => lines.push(line)}});
+  consoleLogger.info('hidden');
+  consoleLogger.warn('shown');
+  assert.equal(lines.length, 1);
+  assert.match(lines[0], /^\[warn\] \d{4}-\d\d-\d\dT[\d:.]+Z: shown\n$/);
+});
+
+test('request hooks report requests, responses, retries and errors', async ({baseURL, server}) => {
+  const events = [];
+  const hooks = Object.fromEntries(['onRequest', 'onResponse', 'onRetry', 'onError'].map((name) => [name, (event) => events.push({name, ...event})]));
+  const bunny = new BunnyCDNStorage({accessKey, storageZoneName, baseURL, retry: {retries: 1, baseDelay: 1}, logLevel: 'silent', hooks});
+
+  await bunny.uploadBuffer({data: Buffer.from('hello'), remoteDirectory: 'docs', fileName: 'a.txt'});
+  assert.deepEqual(events.map(({name, method, status}) => [name, method, status]), [['onRequest', 'PUT', undefined], ['onResponse', 'PUT', 201]]);
+  assert.equal(events[0].bytes, 5);
+  assert.equal(events[1].url, `${baseURL}${storageZoneName}/docs/a.txt`);
+  assert.ok(events[1].duration >= 0);
+
+  events.length = 0;
+  server.failNextRequest({method: 'GET', status: 503});
+  assert.equal((await bunny.readFile({remoteDirectory: 'docs', fileName: 'a.txt'})).toString(), 'hello');
+  assert.deepEqual(events.map(({name, attempt, status}) => [name, attempt, status]), [
+    ['onRequest', 1, undefined], ['onError', 1, 503], ['onRetry', 2, undefined], ['onRequest', 2, undefined], ['onResponse', 2, 200]
+  ]);
+  assert.equal(events[4].bytes, 5);
+  assert.equal(events[1].error.response.status, 503);
+
+  // A failing hook does not fail the request
+  const failing = new BunnyCDNStorage({accessKey, storageZoneName, baseURL, logger: false, hooks: {onRequest: () => { throw new Error('hook'); }}});
+  assert.equal((await failing.readFile({remoteDirectory: 'docs', fileName: 'a.txt'})).toString(), 'hello');
+});
+
+test('encrypted uploads are decrypted and authenticated on download', async ({baseURL, server, tmp}) => {
+  const oldKey = crypto.randomBytes(32);
+  const newKey = crypto.randomBytes(32);
+  const create = (keys, keyId) => new BunnyCDNStorage({accessKey, storageZoneName, baseURL, retryCount: 0, logLevel: 'silent', encryption: {keys, keyId}});
+  const before = create({old: oldKey}, 'old');
+  const bunny = create({old: oldKey, new: newKey}, 'new');
+
+  const localDirectory = path.join(tmp, 'exports');
+  await fse.outputFile(path.join(localDirectory, 'a.csv'), 'id,name\n1,secret');
+  await fse.outputFile(path.join(localDirectory, 'sub', 'b.csv'), 'id\n2');
+  await fse.outputFile(path.join(localDirectory, 'empty.csv'), '');
+
+  await before.uploadFile({localFilePath: path.join(localDirectory, 'a.csv'), remoteDirectory: 'exports', encrypt: true, verify: true});
+  await bunny.uploadFolder({localDirectory: path.join(localDirectory, 'sub'), remoteDirectory: 'exports/sub', encrypt: true, verify: true});
+  await bunny.uploadFile({localFilePath: path.join(localDirectory, 'empty.csv'), remoteDirectory: 'exports', encrypt: true});
+  const stored = server.files.get('exports/a.csv').data;
+  assert.equal(stored.subarray(0, 4).toString(), 'BNYE');
+  assert.equal(stored.includes('secret'), false);
+
+  // Files encrypted with a rotated key are still readable with the old key in the keyring
+  const downloaded = await bunny.downloadFolder({remoteDirectory: 'exports', localDirectory: path.join(tmp, 'download'), recursive: true, decrypt: true, verify: true});
+  assert.equal(downloaded.length, 3);
+  assert.equal(await fse.readFile(path.join(tmp, 'download', 'exports', 'a.csv'), 'utf8'), 'id,name\n1,secret');
+  assert.equal(await fse.readFile(path.join(tmp, 'download', 'exports', 'sub', 'b.csv'), 'utf8'), 'id\n2');
+  assert.equal(await fse.readFile(path.join(tmp, 'download', 'exports', 'empty.csv'), 'utf8'), '');
+
+  const download = (client, fileName) => client.downloadFile({remoteDirectory: 'exports', fileName, localDirectory: path.join(tmp, 'failed'), decrypt: true});
+  await assert.rejects(download(before, 'sub/b.csv'), (error) => error instanceof DecryptionError && error.keyId === 'new');
+  await assert.rejects(download(create({new: crypto.randomBytes(32)}, 'new'), 'sub/b.csv'), /failed authentication/);
+
+  const tampered = Buffer.from(stored);
+  tampered[tampered.length - 20] ^= 1;
+  server.setFile('exports/a.csv', tampered);
+  await assert.rejects(download(bunny, 'a.csv'), DecryptionError);
+  server.setFile('exports/plain.csv', 'not encrypted');
+  await assert.rejects(download(bunny, 'plain.csv'), /not encrypted/);
+  assert.deepEqual((await fse.readdir(path.join(tmp, 'failed'), {recursive: true})).filter((name) => name.includes('.')), []);
+
+  await assert.rejects(new BunnyCDNStorage({accessKey, storageZoneName, baseURL, logLevel: 'silent'}).uploadFile({localFilePath: path.join(localDirectory, 'a.csv'), encrypt: true}), InvalidArgumentError);
+  assert.throws(() => create({short: crypto.randomBytes(16)}, 'short'), InvalidArgumentError);
+});
+
+test('encrypted uploads send the checksum of the encrypted data', async ({baseURL, server, tmp}) => {
+  const encryption = {keys: {main: crypto.randomBytes(32)}, keyId: 'main'};
+  const bunny = new BunnyCDNStorage({accessKey, storageZoneName, baseURL, concurrency: 2, retry: {retries: 1, baseDelay: 1}, logLevel: 'silent', encryption});
+  for (const name of ['a', 'b', 'c']) await fse.outputFile(path.join(tmp, 'reports', `${name}.txt`), `report ${name}`);
+
+  // A retried upload is encrypted with a new IV, so it has another checksum
+  server.failNextRequest({method: 'PUT', status: 500});
+  await bunny.uploadFolder({localDirectory: path.join(tmp, 'reports'), remoteDirectory: 'reports', encrypt: true, verify: true});
+  const uploads = server.requests.filter((request) => request.method === 'PUT');
+  assert.equal(uploads.length, 4);
+  assert.equal(new Set(uploads.map((request) => request.headers.checksum)).size, 4);
+  for (const name of ['a', 'b', 'c']) {
+    const upload = uploads.findLast((request) => request.path === `reports/${name}.txt`);
+    assert.equal(upload.headers.checksum, server.files.get(`reports/${name}.txt`).checksum);
+  }
+  assert.equal(server.requests.some((request) => request.method === 'GET'), false);
+
+  const downloaded = await bunny.downloadFolder({remoteDirectory: 'reports', localDirectory: path.join(tmp, 'download'), decrypt: true});
+  assert.equal(downloaded.length, 3);
+  assert.equal(await fse.readFile(path.join(tmp, 'download', 'b.txt'), 'utf8'), 'report b');
+});
+
+test('deleteFiles deletes files by criteria and never deletes protected paths', async ({baseURL, server}) => {
+  const bunny = new BunnyCDNStorage({accessKey, storageZoneName, baseURL, logLevel: 'silent', protectedPaths: ['logs/keep', '/logs/audit.log']});
+  const lastWeek = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  server.setFile('logs/old.log', 'old', lastWeek);
+  server.setFile('logs/big.log', 'x'.repeat(100), lastWeek);
+  server.setFile('logs/new.log', 'new');
+  server.setFile('logs/audit.log', 'audit', lastWeek);
+  server.setFile('logs/keep/old.log', 'keep', lastWeek);
+  server.setFile('logs/archive/old.txt', 'archive', lastWeek);
+
+  const options = {remoteDirectory: 'logs', recursive: true, olderThan: 24 * 60 * 60 * 1000, maxSize: 50, exclude: ['*.txt']};
+  const planned = await bunny.deleteFiles({...options, dryRun: true});
+  assert.deepEqual(planned, ['logs/old.log']);
+  assert.equal(server.requests.some((request) => request.method === 'DELETE'), false);
+
+  const report = await bunny.deleteFiles({remoteDirectory: 'logs', recursive: true, olderThan: new Date(Date.now() - 60000), continueOnError: true});
+  assert.deepEqual(report.succeeded.map(({remotePath}) => remotePath).sort(), ['logs/archive/old.txt', 'logs/big.log', 'logs/old.log']);
+  assert.deepEqual(report.skipped.map(({remotePath, reason}) => [remotePath, reason]).sort(), [['logs/audit.log', 'protected'], ['logs/keep/old.log', 'protected']]);
+  assert.deepEqual([...server.files.keys()].sort(), ['logs/audit.log', 'logs/keep/old.log', 'logs/new.log']);
+
+  // Protected paths, their parents and the root are rejected by delete as well
+  await assert.rejects(bunny.delete({remoteDirectory: 'logs', fileName: 'keep'}), ProtectedPathError);
+  await assert.rejects(bunny.delete({fileName: 'logs'}), ProtectedPathError);
+  await assert.rejects(bunny.delete({remoteDirectory: '/', fileName: '/'}), ProtectedPathError);
+  await assert.rejects(bunny.deleteFiles({recursive: true}), ProtectedPathError);
+
+  // '..' segments can't be used to name a protected path or the root
+  const requestCount = server.requests.length;
+  await assert.rejects(bunny.delete({remoteDirectory: 'a/..', fileName: 'logs'}), UnsafePathError);
+  await assert.rejects(bunny.delete({remoteDirectory: 'logs/archive', fileName: '../keep'}), UnsafePathError);
+  await assert.rejects(bunny.delete({remoteDirectory: 'a', fileName: '..'}), UnsafePathError);
+  await assert.rejects(bunny.deleteFiles({remoteDirectory: 'logs/..', recursive: true}), UnsafePathError);
+  assert.equal(server.requests.length, requestCount);
+  assert.equal(server.files.size, 3);
+});
+
+test('watchFolder mirrors changes, deletions and renames', async ({bunny, server, tmp}) => {
+  const localDirectory = path.join(tmp, 'site');
+  await fse.outputFile(path.join(localDirectory, 'existing.html'), 'existing');
+  const watcher = await bunny.watchFolder({localDirectory, remoteDirectory: 'preview', exclude: ['*.tmp'], debounce: 50});
+  const actions = [];
+  watcher.on('upload', ({remotePath}) => actions.push(['upload', remotePath]));
+  watcher.on('delete', ({remotePath}) => actions.push(['delete', remotePath]));
+  watcher.on('error', (error) => actions.push(['error', error.message]));
+
+  try {
+    // A burst of writes is uploaded once
+    for (let i = 1; i <= 5; i++) await fse.writeFile(path.join(localDirectory, 'index.html'), `version ${i}`);
+    await fse.outputFile(path.join(localDirectory, 'draft.tmp'), 'ignored');
+    await fse.outputFile(path.join(localDirectory, 'css', 'site.css'), 'css');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    await watcher.idle();
+    assert.equal(server.files.get('preview/index.html').data.toString(), 'version 5');
+    assert.equal(server.files.get('preview/css/site.css').data.toString(), 'css');
+    assert.equal(server.files.has('preview/draft.tmp'), false);
+    assert.equal(server.files.has('preview/existing.html'), false);
+    assert.equal(actions.filter(([action, remotePath]) => action === 'upload' && remotePath === 'preview/index.html').length, 1);
+
+    actions.length = 0;
+    await fse.move(path.join(localDirectory, 'css'), path.join(localDirectory, 'styles'));
+    await fse.remove(path.join(localDirectory, 'index.html'));
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    await watcher.idle();
+    assert.deepEqual([...server.files.keys()].sort(), ['preview/styles/site.css']);
+    assert.deepEqual(actions.sort(), [['delete', 'preview/css'], ['delete', 'preview/index.html'], ['upload', 'preview/styles/site.css']]);
+  } finally {
+    await watcher.close();
+  }
+
+  await fse.writeFile(path.join(localDirectory, 'late.html'), 'late');
+  await new Promise((resolve) => setTimeout(resolve, 150));
+  assert.equal(server.files.has('preview/late.html'), false);
+});
+
+test('watchFolder only deletes paths it could have uploaded', async ({bunny, server, tmp}) => {
+  const localDirectory = path.join(tmp, 'site');
+  for (const relativePath of ['index.html', 'app.js.map', 'style.css', 'docs/guide.html']) {
+    await fse.outputFile(path.join(localDirectory, relativePath), relativePath);
+    server.setFile(`site/${relativePath}`, relativePath);
+  }
+  const controller = new AbortController();
+  const watcher = await bunny.watchFolder({
+    localDirectory, remoteDirectory: 'site', include: ['*.html', '*.map'], excludedFileTypes: ['.map'], debounce: 20, signal: controller.signal
+  });
+
+  try {
+    // The files left out by the filters were never uploaded, so they are kept. The directory may contain uploaded files, it is deleted.
+    for (const relativePath of ['app.js.map', 'style.css', 'docs']) await fse.remove(path.join(localDirectory, relativePath));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await watcher.idle();
+    assert.deepEqual([...server.files.keys()].sort(), ['site/app.js.map', 'site/index.html', 'site/style.css']);
+  } finally {
+    await watcher.close();
+  }
+  // Closing the watcher removes its abort listener, a long-lived signal doesn't keep closed watchers
+  assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+});
+
+test('watchFolder purges and verifies with a single transfer slot', async ({baseURL, server, tmp}) => {
+  const bunny = new BunnyCDNStorage({
+    accessKey, storageZoneName, baseURL, concurrency: 1, logLevel: 'silent',
+    encryption: {keys: {main: crypto.randomBytes(32)}, keyId: 'main'},
+    pullZone: {hostname: 'cdn.example.com', apiKey, apiURL: baseURL, autoPurge: true}
+  });
+  const localDirectory = path.join(tmp, 'site');
+  await fse.ensureDir(localDirectory);
+  const watcher = await bunny.watchFolder({localDirectory, remoteDirectory: 'live', debounce: 20, verify: true, encrypt: true});
+
+  try {
+    await fse.outputFile(path.join(localDirectory, 'a.html'), 'a');
+    await fse.outputFile(path.join(localDirectory, 'docs', 'b.html'), 'b');
+    await fse.outputFile(path.join(localDirectory, 'docs', 'c.html'), 'c');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await watcher.idle();
+    assert.deepEqual([...server.files.keys()].sort(), ['live/a.html', 'live/docs/b.html', 'live/docs/c.html']);
+
+    await fse.remove(path.join(localDirectory, 'docs'));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await watcher.idle();
+    assert.deepEqual([...server.files.keys()], ['live/a.html']);
+    // The files of the removed directory are deleted on their own or with the directory, depending on the order of the events
+    const isPurged = (remotePath) => server.purgedUrls.some((url) => {
+      return url === `https://cdn.example.com/${remotePath}` || (remotePath.startsWith('live/docs/') && url === 'https://cdn.example.com/live/docs/*');
+    });
+    assert.equal(['live/a.html', 'live/docs/b.html', 'live/docs/c.html'].every(isPurged), true);
+  } finally {
+    await watcher.close();
+  }
+});
+
+async function main() {
+  const server = new MockStorageServer({storageZoneName, accessKey, apiKey});
+  const baseURL = await server.start();
+
+  const bunny = new BunnyCDNStorage({
+    accessKey,
+    storageZoneName,
+    baseURL,
+    concurrency: 2,
+    retryCount: 1,
+    logLevel: 'silent'
+  });
+
+  let failed = 0;
+
+  for (const {name, fn} of tests) {
+    server.files.clear();
+    server.requests.length = 0;
+    server.failures.length = 0;
+    server.purgedUrls.length = 0;
+    const tmp = await fse.mkdtemp(path.join(os.tmpdir(), 'node-bunny-storage-'));
+    try {
+      await fn({bunny, server, tmp, baseURL});
+      console.log(`ok - ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`not ok - ${name}`);
+      console.log(error);
+    } finally {
+      await fse.remove(tmp);
+    }
+  }
 
-  console.log('All downloaded files:', downloadedFilesPaths);
+  await server.stop();
 
-  console.log('TEST FINISHED');
+  console.log(`${tests.length - failed} of ${tests.length} tests passed`);
+  if (failed) process.exitCode = 1;
 }
 
 main().catch((err) => {
   console.log(err);
+  process.exitCode = 1;
 });
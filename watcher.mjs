@@ -0,0 +1,198 @@
+import {EventEmitter} from 'events';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Watches a local directory and passes each changed path to a handler, once the changes to the path have settled.
+ * Operations on the same path never overlap: a change arriving while the path is handled is handled again afterwards.
+ *
+ * Emits the action returned by the handler as event with its details (e.g. 'upload' or 'delete'),
+ * 'error' with an error and the relative path if the handler failed (only if there is an 'error' listener, the error is logged in any case),
+ * and 'close' once the watcher is closed.
+ */
+export class FolderWatcher extends EventEmitter {
+  /**
+   * @param {object} options The options object.
+   * @param {string} options.localDirectory The directory to watch.
+   * @param {boolean} [options.recursive=true] Also watch the subdirectories.
+   * @param {number} [options.debounce=200] The number of milliseconds without further changes to a path before it is handled.
+   * @param {function(string): Promise<{action: string}[]>} options.handle Handles a changed path, relative to localDirectory and using '/' as separator.
+   *   Resolves with the actions taken and their details, e.g. one upload per file of a new directory.
+   * @param {{error: function(string)}} options.logger The logger.
+   */
+  constructor({localDirectory, recursive = true, debounce = 200, handle, logger}) {
+    super();
+    this.localDirectory = localDirectory;
+    this.recursive = recursive;
+    this.debounce = debounce;
+    this.handle = handle;
+    this.logger = logger;
+    this.closed = false;
+    /**
+     * The fs watchers by relative directory. With recursive watching there is one for the whole tree,
+     * where it is unavailable (Linux before Node.js 19.1) there is one for each directory.
+     * @type {Map<string, fs.FSWatcher>}
+     * @private
+     */
+    this.watchers = new Map();
+    this.watchEachDirectory = false;
+    /**
+     * The debounce timers by relative path.
+     * @type {Map<string, NodeJS.Timeout>}
+     * @private
+     */
+    this.timers = new Map();
+    /**
+     * The last queued operation by relative path, used to serialize the operations on each path.
+     * @type {Map<string, Promise<void>>}
+     * @private
+     */
+    this.queues = new Map();
+  }
+
+  /**
+   * Start watching.
+   * @returns {FolderWatcher}
+   */
+  start() {
+    try {
+      this._watchDirectory('', this.recursive);
+    } catch (error) {
+      if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+      this.watchEachDirectory = true;
+      this._watchTree('');
+    }
+    return this;
+  }
+
+  /**
+   * The number of paths which are waiting or being handled.
+   * @returns {number}
+   */
+  get pending() {
+    return new Set([...this.timers.keys(), ...this.queues.keys()]).size;
+  }
+
+  /**
+   * Stop watching. Changes which have not settled yet are dropped, running operations are finished.
+   * @returns {Promise<void>} Resolves once all running operations have finished.
+   */
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+    for (const watcher of this.watchers.values()) watcher.close();
+    this.watchers.clear();
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+    await Promise.all(this.queues.values());
+    this.emit('close');
+  }
+
+  /**
+   * Wait until all changes have been handled, e.g. before closing the watcher after a build.
+   * @returns {Promise<void>}
+   */
+  async idle() {
+    while (this.pending) {
+      if (this.timers.size) await new Promise((resolve) => setTimeout(resolve, this.debounce));
+      await Promise.all(this.queues.values());
+    }
+  }
+
+  /**
+   * Watch a single directory, or the whole tree below it if recursive.
+   * @param {string} relativeDirectory The directory, relative to localDirectory.
+   * @param {boolean} recursive Also watch the subdirectories.
+   * @private
+   */
+  _watchDirectory(relativeDirectory, recursive) {
+    const watcher = fs.watch(path.join(this.localDirectory, relativeDirectory), {recursive}, (eventType, fileName) => {
+      // The file name can be missing on some platforms, there is nothing to handle then
+      if (!fileName) return;
+      const relativePath = path.posix.join(relativeDirectory, fileName.split(path.sep).join('/'));
+      if (this.watchEachDirectory) this._updateWatchers(relativePath);
+      this._schedule(relativePath);
+    });
+    watcher.on('error', (error) => this._reportError(error));
+    this.watchers.set(relativeDirectory, watcher);
+  }
+
+  /**
+   * Watch a directory and each of its subdirectories on their own, if they are not watched yet.
+   * @param {string} relativeDirectory The directory, relative to localDirectory.
+   * @private
+   */
+  _watchTree(relativeDirectory) {
+    if (this.watchers.has(relativeDirectory)) return;
+    this._watchDirectory(relativeDirectory, false);
+    for (const entry of fs.readdirSync(path.join(this.localDirectory, relativeDirectory), {withFileTypes: true})) {
+      if (entry.isDirectory()) this._watchTree(path.posix.join(relativeDirectory, entry.name));
+    }
+  }
+
+  /**
+   * Watch a changed path if it is a new directory, or stop watching it and the directories below it if it was removed.
+   * @param {string} relativePath The changed path.
+   * @private
+   */
+  _updateWatchers(relativePath) {
+    if (this.closed) return;
+    try {
+      if (fs.statSync(path.join(this.localDirectory, relativePath), {throwIfNoEntry: false})?.isDirectory()) return this._watchTree(relativePath);
+    } catch (error) {
+      // The directory may be removed again while it is read
+      if (error.code !== 'ENOENT') return this._reportError(error, relativePath);
+    }
+    for (const [relativeDirectory, watcher] of this.watchers) {
+      if (relativeDirectory === relativePath || relativeDirectory.startsWith(relativePath + '/')) {
+        watcher.close();
+        this.watchers.delete(relativeDirectory);
+      }
+    }
+  }
+
+  /**
+   * Handle a path once it had no changes for the debounce time.
+   * @param {string} relativePath The changed path.
+   * @private
+   */
+  _schedule(relativePath) {
+    if (this.closed) return;
+    clearTimeout(this.timers.get(relativePath));
+    this.timers.set(relativePath, setTimeout(() => {
+      this.timers.delete(relativePath);
+      this._enqueue(relativePath);
+    }, this.debounce));
+  }
+
+  /**
+   * Queue the handling of a path after the running operation on the same path.
+   * @param {string} relativePath The changed path.
+   * @private
+   */
+  _enqueue(relativePath) {
+    const previous = this.queues.get(relativePath) || Promise.resolve();
+    const operation = previous.then(async () => {
+      try {
+        for (const {action, ...details} of await this.handle(relativePath)) this.emit(action, details);
+      } catch (error) {
+        this._reportError(error, relativePath);
+      }
+    });
+    this.queues.set(relativePath, operation);
+    operation.then(() => {
+      if (this.queues.get(relativePath) === operation) this.queues.delete(relativePath);
+    });
+  }
+
+  /**
+   * Log an error and emit it, if there is an 'error' listener.
+   * @param {Error} error The error.
+   * @param {string} [relativePath] The path which failed.
+   * @private
+   */
+  _reportError(error, relativePath) {
+    this.logger.error(`watchFolder Error: ${error}${relativePath ? `, path: ${relativePath}` : ''}`);
+    if (this.listenerCount('error')) this.emit('error', error, relativePath);
+  }
+}